@@ -0,0 +1,40 @@
+// app/%5F%5Fproxy/audit/route.js — /__proxy/audit: query the audit log
+//
+// GET /__proxy/audit?user=alice&path=/backend-api&from=2025-01-01T00:00Z&to=...&status=502&limit=100
+// Admins may query every user; everyone else only sees their own requests.
+
+import { audit, authenticator } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+function isoOrNull(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+export async function GET(req) {
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ error: "Authentication required" }, { status: 401 });
+
+  const params = new URL(req.url).searchParams;
+  const from = isoOrNull(params.get("from"));
+  const to = isoOrNull(params.get("to"));
+  if (from === undefined || to === undefined) {
+    return Response.json({ error: "from/to must be dates" }, { status: 400 });
+  }
+
+  const isAdmin = identity.user.role === "admin";
+  const user = isAdmin ? params.get("user") : identity.user.name;
+
+  const records = await audit.query({
+    user,
+    path: params.get("path"),
+    status: params.get("status"),
+    from,
+    to,
+    limit: params.get("limit"),
+  });
+  return Response.json({ records });
+}
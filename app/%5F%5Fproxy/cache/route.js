@@ -0,0 +1,36 @@
+// app/%5F%5Fproxy/cache/route.js — /__proxy/cache: response cache stats and purge (admins only)
+//
+// GET    /__proxy/cache                                   → { entries, bytes }
+// DELETE /__proxy/cache?prefix=https://ev.turnitin.com/static/ → { purged }
+// Prefixes match upstream URLs, so a whole upstream is purged by its origin.
+
+import { authenticator, cache } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+async function requireAdmin(req) {
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ error: "Authentication required" }, { status: 401 });
+  if (identity.user.role !== "admin") {
+    return Response.json({ error: "Admins only" }, { status: 403 });
+  }
+  return null;
+}
+
+export async function GET(req) {
+  const denied = await requireAdmin(req);
+  if (denied) return denied;
+  return Response.json(await cache.stats());
+}
+
+export async function DELETE(req) {
+  const denied = await requireAdmin(req);
+  if (denied) return denied;
+
+  const prefix = new URL(req.url).searchParams.get("prefix");
+  if (!prefix || !/^https?:\/\//.test(prefix)) {
+    return Response.json({ error: "prefix must be an upstream URL (http:// or https://...)" }, { status: 400 });
+  }
+  return Response.json({ purged: await cache.purge(prefix) });
+}
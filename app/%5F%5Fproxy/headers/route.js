@@ -0,0 +1,53 @@
+// app/%5F%5Fproxy/headers/route.js — /__proxy/headers: header policy dry run (admins only)
+//
+// POST /__proxy/headers
+//   { "url": "/turnitin/api/x", "method": "GET",       // relative to this proxy, or absolute
+//     "headers": { "cookie": "a=1" },                  // as sent by the browser
+//     "response": { "headers": { "server": "x" } } }   // as sent by the upstream
+// → { route, upstreamUrl, credential, request: [[name, value]], response: [[name, value]] }
+//
+// Runs the route's header policies, CORS and Set-Cookie forwarding on the
+// sample without contacting the upstream. Auth, rate limits, the route's
+// credential (only its name is shown) and cookie jars are skipped.
+
+import { createProxy } from "@/lib/proxy/core";
+import { authenticator, codecs } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const proxy = createProxy({ via: "next-node-runtime-proxy", codecs });
+
+export async function POST(req) {
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ error: "Authentication required" }, { status: 401 });
+  if (identity.user.role !== "admin") {
+    return Response.json({ error: "Admins only" }, { status: 403 });
+  }
+
+  let sample;
+  let upstreamHeaders;
+  try {
+    const input = await req.json();
+    const url = new URL(input.url || "/", req.url);
+    // Absolute URLs pick a hostname for routes matched by `host`
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error("url must be http(s)");
+    sample = new Request(url, { method: input.method || "GET", headers: input.headers || {} });
+    upstreamHeaders = new Headers(input.response?.headers || {});
+  } catch (err) {
+    return Response.json({ error: `Bad sample request: ${err.message}` }, { status: 400 });
+  }
+
+  // The caller's user name feeds ${user.name}; their own credentials stay out of it
+  let preview;
+  try {
+    preview = proxy.previewHeaders(sample, upstreamHeaders, { user: identity.user });
+  } catch (err) {
+    if (err?.name !== "BadPathError") throw err;
+    return Response.json({ error: err.message }, { status: 400 });
+  }
+  if (!preview) {
+    return Response.json({ error: `No upstream configured for ${new URL(sample.url).pathname}` }, { status: 404 });
+  }
+  return Response.json(preview);
+}
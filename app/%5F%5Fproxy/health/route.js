@@ -0,0 +1,19 @@
+// app/%5F%5Fproxy/health/route.js — /__proxy/health: upstream probes and circuit breakers
+
+import { authenticator, health } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// GET /__proxy/health — 200 unless every upstream is down (503), so a load
+// balancer can use it anonymously; signed-in users also get per-upstream detail
+export async function GET(req) {
+  health.start();
+  const report = health.checked() ? health.status() : await health.checkNow();
+  const status = report.status === "down" ? 503 : 200;
+  const headers = { "cache-control": "no-store" };
+
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ status: report.status }, { status, headers });
+  return Response.json(report, { status, headers });
+}
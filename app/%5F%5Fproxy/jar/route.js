@@ -0,0 +1,50 @@
+// app/%5F%5Fproxy/jar/route.js — /__proxy/jar: inspect and clear your own cookie jar
+
+import { authenticator, jars } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// Enough to recognise a cookie, not enough to replay it from a screenshot
+function mask(value) {
+  return value.length <= 8 ? "…" : `${value.slice(0, 4)}…(${value.length} chars)`;
+}
+
+async function currentUser(req) {
+  const identity = await authenticator.authenticate(req);
+  return identity?.user || null;
+}
+
+function notLoggedIn() {
+  return Response.json({ error: "Authentication required" }, { status: 401 });
+}
+
+// GET /__proxy/jar[?domain=ev.turnitin.com]
+export async function GET(req) {
+  const user = await currentUser(req);
+  if (!user) return notLoggedIn();
+
+  const domain = new URL(req.url).searchParams.get("domain");
+  const cookies = (await jars.list(user.name))
+    .filter((c) => !domain || c.domain === domain)
+    .map((c) => ({
+      ...c,
+      value: mask(c.value),
+      expires: c.expires === null ? null : new Date(c.expires).toISOString(),
+      createdAt: new Date(c.createdAt).toISOString(),
+    }));
+  return Response.json({ user: user.name, cookies });
+}
+
+// DELETE /__proxy/jar[?name=session-id][&domain=ev.turnitin.com] — no filter clears everything
+export async function DELETE(req) {
+  const user = await currentUser(req);
+  if (!user) return notLoggedIn();
+
+  const params = new URL(req.url).searchParams;
+  await jars.clear(user.name, {
+    name: params.get("name") || undefined,
+    domain: params.get("domain") || undefined,
+  });
+  return new Response(null, { status: 204 });
+}
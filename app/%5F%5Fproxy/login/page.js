@@ -0,0 +1,50 @@
+export const metadata = {
+  title: "Sign in",
+};
+
+export default async function LoginPage({ searchParams }) {
+  const { next = "/", error } = await searchParams;
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-zinc-50 font-sans dark:bg-black">
+      <main className="w-full max-w-sm rounded-2xl bg-white px-8 py-10 shadow-sm dark:bg-zinc-900">
+        <h1 className="mb-6 text-2xl font-semibold tracking-tight text-black dark:text-zinc-50">
+          Sign in
+        </h1>
+        {error && (
+          <p className="mb-4 rounded-lg bg-red-50 px-3 py-2 text-sm text-red-700 dark:bg-red-950 dark:text-red-300">
+            Wrong user name or password.
+          </p>
+        )}
+        <form method="post" action="/__proxy/session" className="flex flex-col gap-4">
+          <input type="hidden" name="next" value={next} />
+          <label className="flex flex-col gap-1 text-sm text-zinc-600 dark:text-zinc-400">
+            User name
+            <input
+              name="username"
+              autoComplete="username"
+              required
+              className="h-10 rounded-lg border border-black/[.08] px-3 text-base text-black dark:border-white/[.145] dark:bg-black dark:text-zinc-50"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm text-zinc-600 dark:text-zinc-400">
+            Password
+            <input
+              name="password"
+              type="password"
+              autoComplete="current-password"
+              required
+              className="h-10 rounded-lg border border-black/[.08] px-3 text-base text-black dark:border-white/[.145] dark:bg-black dark:text-zinc-50"
+            />
+          </label>
+          <button
+            type="submit"
+            className="mt-2 flex h-11 items-center justify-center rounded-full bg-foreground px-5 font-medium text-background transition-colors hover:bg-[#383838] dark:hover:bg-[#ccc]"
+          >
+            Sign in
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+}
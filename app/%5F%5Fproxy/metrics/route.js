@@ -0,0 +1,21 @@
+// app/%5F%5Fproxy/metrics/route.js — /__proxy/metrics: Prometheus text format (admins only)
+//
+// Scrape with an admin's API key as a bearer token. Only requests handled by
+// the Node route handler are counted; the Edge middleware keeps no metrics.
+
+import { authenticator, metrics } from "@/lib/proxy/node";
+import { CONTENT_TYPE } from "@/lib/proxy/metrics";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req) {
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ error: "Authentication required" }, { status: 401 });
+  if (identity.user.role !== "admin") {
+    return Response.json({ error: "Admins only" }, { status: 403 });
+  }
+  return new Response(metrics.text(), {
+    headers: { "content-type": CONTENT_TYPE, "cache-control": "no-store" },
+  });
+}
@@ -0,0 +1,222 @@
+import Link from "next/link";
+import { headers } from "next/headers";
+import { redirect } from "next/navigation";
+import { loadConfig } from "@/lib/proxy/config";
+import { normalizeLimit } from "@/lib/proxy/ratelimit";
+import { audit, authenticator, credentials, health, limiter, users } from "@/lib/proxy/node";
+import SignOut from "./sign-out";
+
+export const dynamic = "force-dynamic";
+
+export const metadata = {
+  title: "Dashboard",
+};
+
+async function currentIdentity() {
+  // The authenticator only looks at headers (cookie / authorization)
+  const req = new Request("http://dashboard.internal/__proxy", { headers: await headers() });
+  return authenticator.authenticate(req);
+}
+
+// Latest background probe and breaker state per upstream; probes now on the
+// first view, or on every view when the background checker is disabled
+async function upstreamHealth(enabled) {
+  health.start();
+  const report = enabled && health.checked() ? health.status() : await health.checkNow();
+  return new Map(report.upstreams.map((u) => [u.upstream, u]));
+}
+
+async function userUsage(limits) {
+  return Promise.all(
+    (await users.listUsers()).map(async (u) => {
+      const policy = normalizeLimit(limits.users[u.name] ?? limits.user);
+      return {
+        ...u,
+        usage: policy ? await limiter.usage(`user:${u.name}`, policy) : null,
+      };
+    })
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="flex flex-col gap-3">
+      <h2 className="text-lg font-semibold text-black dark:text-zinc-50">{title}</h2>
+      <div className="overflow-x-auto rounded-xl border border-black/[.08] dark:border-white/[.145]">
+        {children}
+      </div>
+    </section>
+  );
+}
+
+function Table({ head, rows, empty }) {
+  return (
+    <table className="w-full text-left text-sm">
+      <thead className="bg-zinc-50 text-zinc-600 dark:bg-zinc-900 dark:text-zinc-400">
+        <tr>
+          {head.map((h) => (
+            <th key={h} className="px-4 py-2 font-medium">
+              {h}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-black/[.06] dark:divide-white/[.1]">
+        {rows.length === 0 ? (
+          <tr>
+            <td colSpan={head.length} className="px-4 py-3 text-zinc-500">
+              {empty}
+            </td>
+          </tr>
+        ) : (
+          rows.map((cells, i) => (
+            <tr key={i}>
+              {cells.map((c, j) => (
+                <td key={j} className="px-4 py-2 align-top">
+                  {c}
+                </td>
+              ))}
+            </tr>
+          ))
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+function Badge({ ok, children }) {
+  return (
+    <span
+      className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+        ok
+          ? "bg-emerald-50 text-emerald-700 dark:bg-emerald-950 dark:text-emerald-300"
+          : "bg-red-50 text-red-700 dark:bg-red-950 dark:text-red-300"
+      }`}
+    >
+      {children}
+    </span>
+  );
+}
+
+const time = (iso) => (iso ? new Date(iso).toLocaleString("en-GB", { timeZone: "UTC" }) : "—");
+
+function expiryBadge(c) {
+  if (!c.expiresAt) return <Badge ok>no expiry</Badge>;
+  if (c.expired) return <Badge ok={false}>expired</Badge>;
+  const days = Math.floor((Date.parse(c.expiresAt) - Date.now()) / 86_400_000);
+  return <Badge ok={days >= 7}>{days < 1 ? "expires today" : `${days} days left`}</Badge>;
+}
+
+export default async function Dashboard() {
+  const identity = await currentIdentity();
+  if (!identity) redirect("/__proxy/login?next=/__proxy");
+  if (identity.user.role !== "admin") {
+    return (
+      <main className="flex min-h-screen items-center justify-center font-sans text-zinc-600 dark:text-zinc-400">
+        The dashboard is for admins only.
+      </main>
+    );
+  }
+
+  const { routes, limits, health: healthPolicy } = loadConfig();
+  const [upstreams, recent, usage, creds] = await Promise.all([
+    upstreamHealth(healthPolicy.enabled),
+    audit.query({ limit: 25 }),
+    userUsage(limits),
+    credentials.list().catch(() => []),
+  ]);
+
+  return (
+    <div className="min-h-screen bg-zinc-50 font-sans dark:bg-black">
+      <main className="mx-auto flex w-full max-w-6xl flex-col gap-10 px-8 py-12">
+        <header className="flex items-center justify-between">
+          <h1 className="text-3xl font-semibold tracking-tight text-black dark:text-zinc-50">
+            Proxy dashboard
+          </h1>
+          <div className="flex items-center gap-4 text-sm text-zinc-600 dark:text-zinc-400">
+            <span>{identity.user.name}</span>
+            <Link href="/__proxy" prefetch={false} className="underline underline-offset-4">
+              Refresh
+            </Link>
+            <SignOut />
+          </div>
+        </header>
+
+        <Section title="Upstreams">
+          <Table
+            head={["Route", "Match", "Upstream", "Methods", "Auth", "Health"]}
+            empty="No routes configured in proxy.config.mjs"
+            rows={routes.map((r) => {
+              const { probe: h, breaker } = upstreams.get(r.upstream);
+              return [
+                r.name,
+                <code key="m">
+                  {r.host || "*"}
+                  {r.prefix}
+                </code>,
+                r.upstream,
+                r.methods.join(", "),
+                r.auth ? "required" : "anonymous",
+                <span key="h" className="flex items-center gap-2">
+                  <Badge ok={h.ok}>{h.ok ? "up" : "down"}</Badge>
+                  {breaker.state !== "closed" && <Badge ok={false}>circuit {breaker.state}</Badge>}
+                  <span className="text-zinc-500">
+                    {h.status ?? h.error} · {h.latencyMs} ms · {time(h.checkedAt)}
+                  </span>
+                </span>,
+              ];
+            })}
+          />
+        </Section>
+
+        <Section title="Usage today (UTC)">
+          <Table
+            head={["User", "Role", "Requests", "Daily quota", "Burst tokens left", "API keys"]}
+            empty="No users yet — npm run users -- add <name>"
+            rows={usage.map((u) => [
+              u.name,
+              u.role,
+              u.usage?.daily?.used ?? "—",
+              u.usage?.daily ? `${u.usage.daily.remaining} of ${u.usage.daily.limit} left` : "unlimited",
+              u.usage?.limit ? `${u.usage.remaining} / ${u.usage.limit}` : "—",
+              u.apiKeys.length,
+            ])}
+          />
+        </Section>
+
+        <Section title="Upstream credentials">
+          <Table
+            head={["Name", "Version", "Rotated", "Expires", "Status"]}
+            empty="No credentials stored — npm run credentials -- set <name>"
+            rows={creds.map((c) => [
+              c.name,
+              `v${c.version}`,
+              time(c.rotatedAt),
+              time(c.expiresAt),
+              expiryBadge(c),
+            ])}
+          />
+        </Section>
+
+        <Section title="Recent requests">
+          <Table
+            head={["Time (UTC)", "User", "Request", "Status", "Bytes", "Latency"]}
+            empty="Nothing in the audit log yet"
+            rows={recent.map((r) => [
+              time(r.ts),
+              r.user ?? "anonymous",
+              <code key="r" className="break-all">
+                {r.method} {r.path}
+              </code>,
+              <Badge key="s" ok={r.status < 400}>
+                {r.status}
+              </Badge>,
+              r.bytesOut,
+              `${r.latencyMs} ms`,
+            ])}
+          />
+        </Section>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+// app/%5F%5Fproxy/session/route.js — /__proxy/session: log in, log out, whoami
+
+import { loadConfig } from "@/lib/proxy/config";
+import { signSession } from "@/lib/proxy/auth";
+import { authenticator, sessionSecret, users } from "@/lib/proxy/node";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const { auth } = loadConfig();
+
+// Only same-origin paths; "//host" and "/\host" would leave the proxy
+function safeNext(value) {
+  if (typeof value !== "string" || !value.startsWith("/")) return "/";
+  if (value.startsWith("//") || value.startsWith("/\\")) return "/";
+  return value;
+}
+
+function sessionCookie(req, value, maxAge) {
+  const secure = new URL(req.url).protocol === "https:" ? "; Secure" : "";
+  return `${auth.cookieName}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+async function readLogin(req) {
+  const ctype = req.headers.get("content-type") || "";
+  if (ctype.includes("application/json")) {
+    return { ...(await req.json().catch(() => ({}))), form: false };
+  }
+  const form = await req.formData().catch(() => new FormData());
+  return {
+    username: form.get("username"),
+    password: form.get("password"),
+    next: form.get("next"),
+    form: true,
+  };
+}
+
+// Who am I?
+export async function GET(req) {
+  const identity = await authenticator.authenticate(req);
+  if (!identity) return Response.json({ error: "Not logged in" }, { status: 401 });
+  return Response.json(identity);
+}
+
+// Log in with username + password (HTML form or JSON)
+export async function POST(req) {
+  if (!sessionSecret) {
+    return Response.json({ error: "PROXY_SESSION_SECRET is not set" }, { status: 500 });
+  }
+
+  const { username, password, next, form } = await readLogin(req);
+  const user =
+    typeof username === "string" && typeof password === "string"
+      ? await users.verifyPassword(username, password)
+      : null;
+
+  if (!user) {
+    if (!form) return Response.json({ error: "Invalid credentials" }, { status: 401 });
+    const back = new URL(auth.loginPath, req.url);
+    back.searchParams.set("error", "1");
+    back.searchParams.set("next", safeNext(next));
+    return Response.redirect(back, 303);
+  }
+
+  const token = await signSession(user, { secret: sessionSecret, ttl: auth.sessionTtl });
+  const headers = new Headers({ "set-cookie": sessionCookie(req, token, auth.sessionTtl) });
+
+  if (!form) {
+    headers.set("content-type", "application/json");
+    return new Response(JSON.stringify({ user: { name: user.name, role: user.role } }), {
+      headers,
+    });
+  }
+  headers.set("location", new URL(safeNext(next), req.url).toString());
+  return new Response(null, { status: 303, headers });
+}
+
+// Log out
+export async function DELETE(req) {
+  return new Response(null, {
+    status: 204,
+    headers: { "set-cookie": sessionCookie(req, "", 0) },
+  });
+}
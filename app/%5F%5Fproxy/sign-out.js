@@ -0,0 +1,18 @@
+"use client";
+
+export default function SignOut() {
+  async function signOut() {
+    await fetch("/__proxy/session", { method: "DELETE" });
+    window.location.assign("/__proxy/login?next=/__proxy");
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={signOut}
+      className="rounded-full border border-solid border-black/[.08] px-4 py-1.5 text-sm transition-colors hover:border-transparent hover:bg-black/[.04] dark:border-white/[.145] dark:hover:bg-[#1a1a1a]"
+    >
+      Sign out
+    </button>
+  );
+}
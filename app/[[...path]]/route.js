@@ -0,0 +1,53 @@
+// app/[[...path]]/route.js — Node runtime proxy for every method
+
+import { createProxy } from "@/lib/proxy/core";
+import {
+  audit,
+  authenticator,
+  breakers,
+  cache,
+  codecs,
+  credentials,
+  harRecorder,
+  harReplay,
+  health,
+  jars,
+  limiter,
+  metrics,
+  tracer,
+  upstreamFetch,
+} from "@/lib/proxy/node";
+
+export const runtime = "nodejs"; // Use Node, not Edge
+export const dynamic = "force-dynamic"; // Always fresh
+
+const proxy = createProxy({
+  via: "next-node-runtime-proxy",
+  authenticate: authenticator.authenticate,
+  credentials,
+  jars,
+  limiter,
+  audit,
+  breakers,
+  cache,
+  fetch: upstreamFetch,
+  guardedTransport: true,
+  codecs,
+  recorder: harRecorder,
+  replay: harReplay,
+  metrics,
+  tracer,
+});
+
+const handle = (req) => {
+  health.start();
+  return proxy.handle(req);
+};
+
+export const GET = handle;
+export const HEAD = handle;
+export const POST = handle;
+export const PUT = handle;
+export const PATCH = handle;
+export const DELETE = handle;
+export const OPTIONS = handle;
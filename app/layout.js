@@ -12,8 +12,11 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  title: {
+    default: "Feedback Studio proxy",
+    template: "%s · Feedback Studio proxy",
+  },
+  description: "Authenticated reverse proxy for the configured upstreams",
 };
 
 export default function RootLayout({ children }) {
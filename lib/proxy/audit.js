@@ -0,0 +1,94 @@
+// lib/proxy/audit.js — structured audit records for every proxied request
+//
+// The proxy core builds one record per request and hands it to a sink: the
+// JSON-lines file in node/audit-file.js, or console output on the Edge (which
+// has no filesystem). Redaction happens here, before a record reaches any sink.
+
+import { redact } from "./redact.js";
+
+const REDACTED = "[redacted]";
+
+export function headersForLog(headers, policy) {
+  const out = {};
+  const hidden = new Set(policy.redact.headers);
+  if (policy.redact.cookies) ["cookie", "set-cookie"].forEach((h) => hidden.add(h));
+  if (policy.redact.authorization) {
+    ["authorization", "proxy-authorization"].forEach((h) => hidden.add(h));
+  }
+  headers.forEach((value, key) => {
+    out[key] = hidden.has(key) ? REDACTED : redact(value);
+  });
+  return out;
+}
+
+// Masks configured fields anywhere in a JSON body; other text is kept as-is
+export function bodyForLog(text, policy) {
+  const fields = new Set(policy.redact.bodyFields.map((f) => f.toLowerCase()));
+  let body = redact(text);
+  try {
+    const walk = (v) => {
+      if (Array.isArray(v)) return v.map(walk);
+      if (v && typeof v === "object") {
+        return Object.fromEntries(
+          Object.entries(v).map(([k, x]) => [k, fields.has(k.toLowerCase()) ? REDACTED : walk(x)])
+        );
+      }
+      return v;
+    };
+    body = walk(JSON.parse(body));
+  } catch {
+    // not JSON
+  }
+  return body;
+}
+
+// Request body for the record, or undefined when bodies are off/unsuitable
+export async function readBodyForLog(req, policy) {
+  if (!policy.bodies || !req.body) return undefined;
+  const length = Number(req.headers.get("content-length"));
+  const ctype = req.headers.get("content-type") || "";
+  if (!length || length > policy.maxBodyBytes) return undefined;
+  if (!/json|text|x-www-form-urlencoded|xml/.test(ctype)) return undefined;
+  return bodyForLog(await req.clone().text(), policy);
+}
+
+// Counts response bytes and calls done(bytes, error) when the stream ends
+export function countingStream(done) {
+  let bytes = 0;
+  let finished = false;
+  const finish = (err) => {
+    if (finished) return;
+    finished = true;
+    done(bytes, err);
+  };
+  return new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      finish(null);
+    },
+    cancel(reason) {
+      finish(reason || new Error("client disconnected"));
+    },
+  });
+}
+
+export function createConsoleSink() {
+  return {
+    async write(record) {
+      console.log(JSON.stringify({ audit: record }));
+    },
+  };
+}
+
+// Does a record pass a query's filters? (shared by the file sink and tests)
+export function matchesQuery(record, { user, path, from, to, status } = {}) {
+  if (user && record.user !== user) return false;
+  if (path && !record.path?.startsWith(path)) return false;
+  if (from && record.ts < from) return false;
+  if (to && record.ts > to) return false;
+  if (status && String(record.status) !== String(status)) return false;
+  return true;
+}
@@ -0,0 +1,173 @@
+// lib/proxy/auth.js — authentication gate in front of the proxy
+//
+// Three schemes are accepted:
+//   session — signed cookie issued by /__proxy/session after a login
+//   bearer  — `Authorization: Bearer fsk_...` (a proxy API key)
+//   basic   — `Authorization: Basic <user:password>` for scripts
+//
+// Sessions are HMAC-signed with WebCrypto, so their signature can be checked in
+// the Edge runtime. API keys and passwords need the user store on disk
+// (lib/proxy/node/users.js); an authenticator created without a store returns
+// DEFER for those so the caller can hand the request to the Node runtime.
+
+export const DEFER = Symbol("proxy.auth.defer");
+// Proxy API keys look like fsk_<id>_<secret>; other bearer tokens belong to the upstream
+export const API_KEY_PREFIX = "fsk_";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+function b64urlEncode(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function b64urlDecode(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+const keys = new Map();
+
+function hmacKey(secret) {
+  if (!keys.has(secret)) {
+    keys.set(
+      secret,
+      crypto.subtle.importKey(
+        "raw",
+        enc.encode(secret),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign", "verify"]
+      )
+    );
+  }
+  return keys.get(secret);
+}
+
+export async function signSession(user, { secret, ttl }) {
+  if (!secret) throw new Error("PROXY_SESSION_SECRET is not set");
+  const now = Math.floor(Date.now() / 1000);
+  const payload = b64urlEncode(
+    enc.encode(JSON.stringify({ sub: user.name, role: user.role, iat: now, exp: now + ttl }))
+  );
+  const sig = await crypto.subtle.sign("HMAC", await hmacKey(secret), enc.encode(payload));
+  return `${payload}.${b64urlEncode(new Uint8Array(sig))}`;
+}
+
+// Returns the session claims, or null if the token is forged, malformed or expired
+export async function verifySession(token, { secret }) {
+  if (!secret || !token) return null;
+  const [payload, sig] = token.split(".");
+  if (!payload || !sig) return null;
+  try {
+    const ok = await crypto.subtle.verify(
+      "HMAC",
+      await hmacKey(secret),
+      b64urlDecode(sig),
+      enc.encode(payload)
+    );
+    if (!ok) return null;
+    const claims = JSON.parse(dec.decode(b64urlDecode(payload)));
+    if (!claims.sub || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+export function readCookie(req, name) {
+  const header = req.headers.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq !== -1 && part.slice(0, eq).trim() === name) {
+      return part.slice(eq + 1).trim();
+    }
+  }
+  return null;
+}
+
+// Which credentials did the caller present? (first match wins)
+export function readCredentials(req, { cookieName }) {
+  const authz = req.headers.get("authorization") || "";
+  const [scheme, value = ""] = authz.split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme) && value.startsWith(API_KEY_PREFIX)) {
+    return { scheme: "bearer", key: value };
+  }
+  if (/^basic$/i.test(scheme) && value) {
+    try {
+      const raw = atob(value);
+      const colon = raw.indexOf(":");
+      if (colon !== -1) {
+        return {
+          scheme: "basic",
+          username: raw.slice(0, colon),
+          password: raw.slice(colon + 1),
+        };
+      }
+    } catch {
+      // not base64 — treat as no credentials
+    }
+  }
+  const token = readCookie(req, cookieName);
+  if (token) return { scheme: "session", token };
+  return null;
+}
+
+/**
+ * authenticate(req) resolves to
+ *   { user: { name, role }, scheme, keyId? } — authenticated (keyId for API keys)
+ *   DEFER — needs the user store (no `store` given)
+ *   null  — missing or invalid credentials
+ */
+export function createAuthenticator({ auth, secret, store }) {
+  async function authenticate(req) {
+    const creds = readCredentials(req, auth);
+    if (!creds || !auth.schemes.includes(creds.scheme)) return null;
+
+    if (creds.scheme === "session") {
+      const claims = await verifySession(creds.token, { secret });
+      if (!claims) return null;
+      if (!store) return DEFER; // signature is fine; the store decides if the user still exists
+      const user = await store.findUser(claims.sub);
+      return user ? { user: publicUser(user), scheme: "session" } : null;
+    }
+
+    if (!store) return DEFER;
+    const user =
+      creds.scheme === "bearer"
+        ? await store.verifyApiKey(creds.key)
+        : await store.verifyPassword(creds.username, creds.password);
+    if (!user) return null;
+    if (creds.scheme === "basic") return { user: publicUser(user), scheme: "basic" };
+    // fsk_<id>_<secret>: the id keys per-API-key rate limits
+    return { user: publicUser(user), scheme: "bearer", keyId: creds.key.split("_")[1] };
+  }
+
+  return { authenticate };
+}
+
+function publicUser(user) {
+  return { name: user.name, role: user.role };
+}
+
+export function unauthorized(req, auth) {
+  const inUrl = new URL(req.url);
+  const accept = req.headers.get("accept") || "";
+
+  // Browser navigation: send them to the login page instead of a bare 401
+  if (req.method === "GET" && accept.includes("text/html") && auth.loginPath) {
+    const login = new URL(auth.loginPath, inUrl);
+    login.searchParams.set("next", inUrl.pathname + inUrl.search);
+    return Response.redirect(login.toString(), 302);
+  }
+
+  return new Response("Authentication required", {
+    status: 401,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "www-authenticate": 'Bearer realm="proxy", Basic realm="proxy"',
+    },
+  });
+}
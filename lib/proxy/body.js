@@ -0,0 +1,37 @@
+// lib/proxy/body.js — request body streaming with a size cap
+
+// Raised inside the body stream; fetch() rejects with it (or with a TypeError
+// whose `cause` is it, depending on the runtime)
+export function bodyTooLarge(maxBytes) {
+  const err = new Error(`Request body exceeds ${maxBytes} bytes`);
+  err.name = "PayloadTooLargeError";
+  return err;
+}
+
+export function isBodyTooLarge(err) {
+  return err?.name === "PayloadTooLargeError" || err?.cause?.name === "PayloadTooLargeError";
+}
+
+// Declared length over the limit? (checked before anything is read)
+export function declaredTooLarge(req, maxBytes) {
+  const length = Number(req.headers.get("content-length"));
+  return Number.isFinite(length) && length > maxBytes;
+}
+
+// Passes `stream` through, counting bytes into stats.bytes and erroring the
+// stream as soon as it goes past maxBytes (content-length can lie or be absent)
+export function limitBody(stream, maxBytes, stats = { bytes: 0 }) {
+  return stream.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        stats.bytes += chunk.byteLength;
+        if (stats.bytes > maxBytes) {
+          stats.exceeded = true;
+          controller.error(bodyTooLarge(maxBytes));
+          return;
+        }
+        controller.enqueue(chunk);
+      },
+    })
+  );
+}
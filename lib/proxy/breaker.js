@@ -0,0 +1,101 @@
+// lib/proxy/breaker.js — a circuit breaker per upstream origin
+//
+//   closed    — requests flow; outcomes from the last `windowMs` are kept and
+//               once there are `minRequests` of them with an error rate of at
+//               least `errorRate`, the breaker opens
+//   open      — requests are refused straight away for `openMs`
+//   half-open — up to `halfOpenRequests` trial requests go through; a success
+//               closes the breaker, a failure opens it again
+//
+// State is in memory, per runtime instance.
+
+export function createBreaker(policy, now = Date.now) {
+  let state = "closed";
+  let openedAt = 0;
+  let trials = 0;
+  let outcomes = []; // [time, ok]
+
+  function open(t) {
+    state = "open";
+    openedAt = t;
+    outcomes = [];
+  }
+
+  function close() {
+    state = "closed";
+    outcomes = [];
+  }
+
+  function halfOpen() {
+    state = "half-open";
+    trials = 0;
+  }
+
+  function prune(t) {
+    outcomes = outcomes.filter(([at]) => t - at < policy.windowMs);
+  }
+
+  // { allowed: true } or { allowed: false, retryAfterMs }
+  function acquire() {
+    const t = now();
+    if (state === "open") {
+      const waited = t - openedAt;
+      if (waited < policy.openMs) return { allowed: false, retryAfterMs: policy.openMs - waited };
+      halfOpen();
+    }
+    if (state === "half-open") {
+      if (trials >= policy.halfOpenRequests) return { allowed: false, retryAfterMs: 1000 };
+      trials++;
+    }
+    return { allowed: true };
+  }
+
+  // ok: true/false, or null when the request says nothing about the upstream
+  // (client went away, body too large) — that only frees a half-open slot
+  function record(ok) {
+    const t = now();
+    if (state === "half-open") {
+      if (ok === null) trials = Math.max(0, trials - 1);
+      else if (ok) close();
+      else open(t);
+      return;
+    }
+    if (state === "open" || ok === null) return; // stragglers started before it opened
+    outcomes.push([t, ok]);
+    prune(t);
+    const failures = outcomes.filter(([, success]) => !success).length;
+    if (outcomes.length >= policy.minRequests && failures / outcomes.length >= policy.errorRate) {
+      open(t);
+    }
+  }
+
+  // A passing health check lets real traffic try again before openMs is up
+  function probeSucceeded() {
+    if (state === "open") halfOpen();
+  }
+
+  function snapshot() {
+    const t = now();
+    prune(t);
+    const failures = outcomes.filter(([, success]) => !success).length;
+    return {
+      state,
+      requests: outcomes.length,
+      errorRate: outcomes.length ? failures / outcomes.length : 0,
+      openedAt: state === "closed" ? null : new Date(openedAt).toISOString(),
+      retryAfterMs: state === "open" ? Math.max(0, policy.openMs - (t - openedAt)) : 0,
+    };
+  }
+
+  return { acquire, record, probeSucceeded, snapshot };
+}
+
+// One breaker per upstream origin, created on first use
+export function createBreakers(policy) {
+  const breakers = new Map();
+  function get(origin) {
+    if (!breakers.has(origin)) breakers.set(origin, createBreaker(policy));
+    return breakers.get(origin);
+  }
+  return { policy, get };
+}
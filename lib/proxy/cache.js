@@ -0,0 +1,241 @@
+// lib/proxy/cache.js — shared HTTP cache for upstream GET responses
+//
+// Opt-in per route (`cache: true` or `cache: { ttl }`). Follows the shared-cache
+// rules of RFC 9111: Cache-Control (no-store, private, no-cache, max-age,
+// s-maxage), Expires, Vary, and ETag / Last-Modified revalidation. Entries are
+// keyed by upstream URL, with up to MAX_VARIANTS Vary variants each. The
+// storage is pluggable: memory here, disk in node/cache-file.js.
+
+import { HOP_BY_HOP } from "./headers.js";
+
+const CACHEABLE_STATUS = new Set([200, 203, 301, 404, 410]);
+const MAX_VARIANTS = 8;
+
+// Never stored: per-user, or no longer true for the decoded body we keep
+const UNSTORED_HEADERS = new Set([...HOP_BY_HOP, "set-cookie", "content-encoding", "content-length"]);
+
+// "public, max-age=60" -> { public: true, "max-age": 60 }
+export function parseCacheControl(value) {
+  const out = {};
+  for (const part of (value || "").split(",")) {
+    const [k, v] = part.trim().split("=", 2);
+    if (!k) continue;
+    const name = k.toLowerCase();
+    if (v === undefined) out[name] = true;
+    else out[name] = /^\d+$/.test(v.replace(/"/g, "")) ? Number(v.replace(/"/g, "")) : v;
+  }
+  return out;
+}
+
+// How long a response stays fresh, in ms; a route `ttl` (seconds) wins
+export function freshnessLifetime(headers, ttl = null) {
+  if (ttl !== null) return ttl * 1000;
+  const cc = parseCacheControl(headers.get("cache-control"));
+  if (cc["no-cache"]) return 0;
+  const maxAge = cc["s-maxage"] ?? cc["max-age"];
+  if (typeof maxAge === "number") return maxAge * 1000;
+  const expires = Date.parse(headers.get("expires") || "");
+  if (Number.isNaN(expires)) return 0;
+  const date = Date.parse(headers.get("date") || "");
+  return Math.max(0, expires - (Number.isNaN(date) ? Date.now() : date));
+}
+
+// Lowercased Vary header names; null for "Vary: *" (never matches anything).
+// Accept-Encoding is ignored: bodies are stored decoded.
+function varyNames(headers) {
+  const names = (headers.get("vary") || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter((v) => v && v !== "accept-encoding");
+  return names.includes("*") ? null : names;
+}
+
+// A response to a request that carried Authorization upstream may only be
+// shared when it says so (RFC 9111 §3.5)
+export function sharedWhenAuthorized(headers) {
+  const cc = parseCacheControl(headers.get("cache-control"));
+  return Boolean(cc.public || cc["s-maxage"] !== undefined || cc["must-revalidate"]);
+}
+
+// Why a response must not be stored, or null when it may be; `authorized`:
+// the upstream request carried an Authorization header
+export function unstorableReason(res, route, { authorized = false } = {}) {
+  if (!CACHEABLE_STATUS.has(res.status)) return `status ${res.status}`;
+  const cc = parseCacheControl(res.headers.get("cache-control"));
+  if (cc["no-store"]) return "no-store";
+  if (cc.private) return "private";
+  if (authorized && !sharedWhenAuthorized(res.headers)) return "authorization";
+  if (res.headers.has("set-cookie")) return "set-cookie";
+  if (!varyNames(res.headers)) return "vary *";
+  const validators = res.headers.has("etag") || res.headers.has("last-modified");
+  if (!validators && freshnessLifetime(res.headers, route.cache.ttl) === 0) return "no freshness";
+  return null;
+}
+
+function matchesVary(entry, req) {
+  return Object.entries(entry.vary).every(([name, value]) => (req.headers.get(name) ?? "") === value);
+}
+
+export function createMemoryStore({ maxBytes = 64 * 1024 * 1024 } = {}) {
+  const entries = new Map(); // insertion order doubles as LRU order
+  let bytes = 0;
+  return {
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      entries.delete(key);
+      entries.set(key, hit);
+      return hit.value;
+    },
+    async set(key, value, size) {
+      await this.delete(key);
+      entries.set(key, { value, size });
+      bytes += size;
+      for (const [k, e] of entries) {
+        if (bytes <= maxBytes) break;
+        entries.delete(k);
+        bytes -= e.size;
+      }
+    },
+    async delete(key) {
+      const hit = entries.get(key);
+      if (!hit) return false;
+      entries.delete(key);
+      bytes -= hit.size;
+      return true;
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+    async stats() {
+      return { entries: entries.size, bytes };
+    },
+  };
+}
+
+/**
+ * createCache({ store, maxEntryBytes }) → { lookup, conditionalHeaders, save,
+ * refresh, respond, purge, stats }
+ */
+export function createCache({ store = createMemoryStore(), maxEntryBytes = 1024 * 1024 } = {}) {
+  // The variant for this request and whether it is still fresh, or null
+  async function lookup(url, req, now = Date.now()) {
+    const variants = (await store.get(url)) || [];
+    const entry = variants.find((v) => matchesVary(v, req));
+    if (!entry) return null;
+    return { entry, fresh: now - entry.storedAt < entry.lifetimeMs && !entry.noCache };
+  }
+
+  // Validators for revalidating a stale entry upstream
+  function conditionalHeaders(entry) {
+    const out = {};
+    if (entry.etag) out["if-none-match"] = entry.etag;
+    if (entry.lastModified) out["if-modified-since"] = entry.lastModified;
+    return out;
+  }
+
+  function entryHeaders(res) {
+    return [...res.headers].filter(([k]) => !UNSTORED_HEADERS.has(k));
+  }
+
+  function fromResponse(res, req, route, body, now) {
+    const cc = parseCacheControl(res.headers.get("cache-control"));
+    return {
+      status: res.status,
+      statusText: res.statusText,
+      headers: entryHeaders(res),
+      body,
+      storedAt: now,
+      initialAge: Number(res.headers.get("age")) || 0,
+      lifetimeMs: freshnessLifetime(res.headers, route.cache.ttl),
+      noCache: route.cache.ttl === null && Boolean(cc["no-cache"]),
+      etag: res.headers.get("etag"),
+      lastModified: res.headers.get("last-modified"),
+      vary: Object.fromEntries(
+        varyNames(res.headers).map((name) => [name, req.headers.get(name) ?? ""])
+      ),
+    };
+  }
+
+  async function put(url, entry) {
+    const variants = ((await store.get(url)) || []).filter(
+      (v) => JSON.stringify(v.vary) !== JSON.stringify(entry.vary)
+    );
+    const next = [entry, ...variants].slice(0, MAX_VARIANTS);
+    await store.set(url, next, next.reduce((n, v) => n + v.body.byteLength, 0));
+  }
+
+  /**
+   * Stores `res` once its body has been read, if it is storable. Returns the
+   * response to send on: the same one, or one reading from a tee of its body.
+   */
+  function save(url, req, res, route, { authorized = false, now = Date.now() } = {}) {
+    if (unstorableReason(res, route, { authorized }) || !res.body) return res;
+    const declared = Number(res.headers.get("content-length"));
+    if (declared > maxEntryBytes) return res;
+
+    const [toClient, toCache] = res.body.tee();
+    (async () => {
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of toCache) {
+        size += chunk.byteLength;
+        if (size > maxEntryBytes) return; // dropping the reader cancels nothing the client needs
+        chunks.push(chunk);
+      }
+      const body = new Uint8Array(size);
+      let offset = 0;
+      for (const c of chunks) {
+        body.set(c, offset);
+        offset += c.byteLength;
+      }
+      await put(url, fromResponse(res, req, route, body, now));
+    })().catch(() => {}); // an aborted upstream body leaves nothing to store
+
+    return new Response(toClient, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+
+  // A 304 from the upstream: the stored body is still good, its headers are updated
+  async function refresh(url, entry, res, route, now = Date.now()) {
+    const headers = new Headers(entry.headers);
+    for (const [k, v] of entryHeaders(res)) {
+      if (!k.startsWith("content-")) headers.set(k, v);
+    }
+    const updated = {
+      ...entry,
+      headers: [...headers],
+      storedAt: now,
+      initialAge: Number(res.headers.get("age")) || 0,
+      lifetimeMs: freshnessLifetime(headers, route.cache.ttl),
+      etag: headers.get("etag"),
+      lastModified: headers.get("last-modified"),
+    };
+    await put(url, updated);
+    return updated;
+  }
+
+  // Response for a stored entry; a 304 when the client already has this version
+  function respond(entry, req, now = Date.now()) {
+    const headers = new Headers(entry.headers);
+    headers.set("age", String(entry.initialAge + Math.floor((now - entry.storedAt) / 1000)));
+    // Weak comparison: the client may hold the W/ form of a compressed copy
+    const weak = (tag) => tag.replace(/^W\//, "");
+    const inm = req.headers.get("if-none-match");
+    if (entry.etag && inm && (inm === "*" || inm.split(/\s*,\s*/).map(weak).includes(weak(entry.etag)))) {
+      return new Response(null, { status: 304, headers });
+    }
+    headers.set("content-length", String(entry.body.byteLength));
+    return new Response(entry.body, { status: entry.status, statusText: entry.statusText, headers });
+  }
+
+  // Drops every URL starting with `prefix`; returns how many were removed
+  async function purge(prefix) {
+    let removed = 0;
+    for (const key of await store.keys()) {
+      if (key.startsWith(prefix) && (await store.delete(key))) removed++;
+    }
+    return removed;
+  }
+
+  return { lookup, conditionalHeaders, save, refresh, respond, purge, stats: () => store.stats() };
+}
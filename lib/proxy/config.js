@@ -0,0 +1,519 @@
+// lib/proxy/config.js — loads and normalizes the routing table in proxy.config.mjs
+//
+// The config is imported statically so it is bundled into both the Edge
+// middleware and the Node route handler (the Edge runtime has no fs).
+
+import userConfig from "../../proxy.config.mjs";
+import { normalizeLimit } from "./ratelimit.js";
+import { HEADER_VARS, templateVars } from "./headers.js";
+
+/**
+ * @typedef {object} HeaderPolicy
+ * Applied in this order; names may end in "*" ("x-debug-*") in allow/deny.
+ * @property {Record<string, string>} [rename] "from" -> "to"
+ * @property {string[]}               [deny]   headers to drop (`remove` is an alias)
+ * @property {string[]}               [allow]  when set, every other header is dropped
+ * @property {Record<string, string>} [set]    headers to set; values may use
+ *   ${upstream.origin}, ${upstream.host}, ${upstream.url}, ${proxy.origin},
+ *   ${proxy.host}, ${request.method}, ${request.path}, ${route.name}, ${user.name}
+ * @property {Record<string, string>} [append] like `set`, but adds a value
+ *
+ * @typedef {object} RouteConfig
+ * @property {string}   name
+ * @property {string}   [host]        exact hostname or "*.example.com"
+ * @property {string}   [prefix]      path prefix, defaults to "/"
+ * @property {string}   upstream      upstream origin, e.g. "https://chatgpt.com"
+ * @property {boolean}  [stripPrefix] drop `prefix` before forwarding
+ * @property {string[]} [methods]     allowed methods (405 otherwise)
+ * @property {number}   [timeout]     ms until upstream response headers, across retries and redirects
+ * @property {number}   [connectTimeout] ms each attempt/hop may wait for response headers
+ * @property {RetryPolicy | false} [retry] retries for idempotent requests without a body
+ * @property {number}   [maxBodyBytes] request body cap (413 above it)
+ * @property {{ request?: HeaderPolicy, response?: HeaderPolicy }} [headers]
+ * @property {string}   [credential]  name of the stored cookie string to inject (scripts/credentials.mjs)
+ * @property {"inject" | "merge"} [cookieMode]
+ * @property {boolean}  [forwardSetCookie] pass upstream Set-Cookie to anonymous callers
+ * @property {boolean}  [cookieJar]   keep upstream cookies in a server-side jar per proxy user
+ * @property {boolean}  [retryTrailingSlash]
+ * @property {number}   [maxRedirects] redirects followed server-side before a 508
+ * @property {boolean}  [followRedirects] false: every redirect goes back to the client
+ * @property {string[]} [redirectHosts] other hosts ("cdn.example.com", "*.example.com")
+ *   redirects may be followed to; by default only the upstream's own origin
+ * @property {{ heartbeat?: number, idleTimeout?: number }} [sse] event streams: ms of upstream
+ *   silence before a heartbeat comment / before the stream is closed (0 disables either)
+ * @property {CorsConfig | false} [cors] merged over the top-level `cors`; false: left to the upstream
+ * @property {CompressionConfig | false} [compression] merged over the top-level `compression`
+ * @property {boolean}  [rewrite]     map upstream URLs in HTML/CSS/JS bodies and Location back to the proxy
+ * @property {string}   [healthPath]  path the health checker probes with HEAD
+ * @property {boolean | { ttl?: number }} [cache] cache GET responses; `ttl` (s) overrides upstream freshness
+ * @property {boolean}  [auth]        require an authenticated user (defaults to auth.required)
+ * @property {Limit}    [limits]      route-wide limit shared by every caller
+ *
+ * @typedef {object} RetryPolicy
+ * @property {number}   [retries]     extra attempts after the first (0 disables)
+ * @property {string[]} [methods]     methods that may be retried
+ * @property {number[]} [statuses]    upstream statuses that are retried
+ * @property {number}   [baseDelay]   ms; backoff is random in [0, baseDelay * 2^n]
+ * @property {number}   [maxDelay]    ms cap for one backoff (and for Retry-After)
+ *
+ * @typedef {object} AuthConfig
+ * @property {boolean}  [required]    gate every route unless it sets `auth: false`
+ * @property {("session" | "bearer" | "basic")[]} [schemes]
+ * @property {string}   [cookieName]  session cookie name
+ * @property {number}   [sessionTtl]  session lifetime in seconds
+ * @property {string}   [loginPath]   where browsers are sent when not logged in
+ *
+ * @typedef {object} Limit
+ * @property {string}   [rate]        token refill rate, e.g. "60/min", "5/s", "1000/hour"
+ * @property {number}   [burst]       bucket size, defaults to the count in `rate`
+ * @property {number}   [daily]       requests per UTC day
+ *
+ * @typedef {object} LimitsConfig
+ * @property {"memory" | "file"} [backend] "file" persists buckets for single-node deployments
+ * @property {Limit}    [user]        default per-user limit
+ * @property {Record<string, Limit>} [users]   per-user overrides
+ * @property {Limit}    [apiKey]      default per-API-key limit
+ * @property {Record<string, Limit>} [apiKeys] overrides by key id
+ *
+ * @typedef {object} AuditConfig
+ * @property {boolean}  [enabled]
+ * @property {boolean}  [headers]      include request/response headers
+ * @property {boolean}  [bodies]       include small textual request bodies
+ * @property {number}   [maxBodyBytes] larger bodies are never logged
+ * @property {{ cookies?: boolean, authorization?: boolean, headers?: string[], bodyFields?: string[] }} [redact]
+ * @property {{ maxBytes?: number, keep?: number }} [rotate] size-based rotation of audit.log
+ *
+ * @typedef {object} BreakerConfig
+ * @property {boolean}  [enabled]
+ * @property {number}   [errorRate]   fraction of failed requests (0–1) that opens the breaker
+ * @property {number}   [minRequests] requests in the window before the rate counts
+ * @property {number}   [windowMs]    how far back outcomes are counted
+ * @property {number}   [openMs]      how long an open breaker refuses requests
+ * @property {number}   [halfOpenRequests] trial requests let through after that
+ * @property {number[]} [statuses]    upstream statuses counted as failures
+ *
+ * @typedef {object} HealthConfig
+ * @property {boolean}  [enabled]     run the background health checker (Node runtime)
+ * @property {number}   [interval]    ms between probes
+ * @property {number}   [timeout]     ms per probe
+ *
+ * @typedef {object} CacheConfig
+ * @property {"memory" | "file"} [backend]
+ * @property {number}   [maxBytes]      total size before the oldest entries are evicted
+ * @property {number}   [maxEntryBytes] larger responses are never stored
+ *
+ * @typedef {object} CorsConfig
+ * @property {string[]} [origins]     "https://app.example.com", "https://*.example.com" or "*"
+ * @property {string[]} [methods]     defaults to the route's `methods`
+ * @property {string[]} [headers]     request headers a preflight may ask for; "*" allows any
+ * @property {boolean}  [credentials] allow cookies / Authorization on cross-origin requests
+ * @property {string[]} [exposeHeaders] response headers readable by the page
+ * @property {number}   [maxAge]      seconds browsers may cache a preflight
+ *
+ * @typedef {object} CompressionConfig
+ * @property {boolean}  [enabled]
+ * @property {number}   [minBytes]    smaller responses (when their length is known) aren't compressed
+ * @property {string[]} [types]       content types to compress; "text/*" matches a whole family
+ * @property {string[]} [encodings]   in order of preference: "br", "gzip", "deflate"
+ *
+ * @typedef {object} EgressConfig
+ * @property {boolean}  [allowPrivate] allow loopback, link-local and private addresses everywhere
+ * @property {string[]} [allow]  exempt hosts ("api.internal", "*.corp") and
+ *   addresses ("10.1.0.0/16", "fd00::/8", "127.0.0.1")
+ *
+ * @typedef {object} HarConfig
+ * @property {"off" | "record" | "replay"} [mode] "record" writes the upstream
+ *   exchanges to .proxy-data/har/; "replay" answers from `file` without the network
+ * @property {string[]} [routes]      route names to record (all when unset)
+ * @property {number}   [maxBodyBytes] larger bodies are recorded without their content
+ * @property {number}   [maxEntries]  per HAR file; the oldest entries are dropped
+ * @property {string}   [file]        HAR file to replay (relative to the working directory)
+ *
+ * @typedef {object} TracingConfig
+ * @property {boolean}  [enabled]
+ * @property {"otlp" | "console" | "file"} [exporter] "file" appends OTLP/JSON
+ *   lines to .proxy-data/traces/
+ * @property {string}   [endpoint]    OTLP/HTTP traces URL of the collector
+ * @property {Record<string, string>} [headers] sent with every export (collector API keys)
+ * @property {string}   [serviceName] the `service.name` spans are reported under
+ * @property {number}   [sampleRate]  share (0–1) of new traces recorded; incoming
+ *   traceparent headers decide for their own traces
+ *
+ * @typedef {object} ProxyConfig
+ * @property {RouteConfig[]} routes
+ * @property {AuthConfig} [auth]
+ * @property {LimitsConfig} [limits]
+ * @property {AuditConfig} [audit]
+ * @property {BreakerConfig} [breaker]
+ * @property {HealthConfig} [health]
+ * @property {CacheConfig} [cache]
+ * @property {CorsConfig} [cors]
+ * @property {CompressionConfig} [compression]
+ * @property {EgressConfig} [egress]
+ * @property {HarConfig} [har]
+ * @property {TracingConfig} [tracing]
+ */
+
+const ALL_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+const ROUTE_DEFAULTS = {
+  host: "",
+  prefix: "/",
+  stripPrefix: false,
+  methods: ALL_METHODS,
+  timeout: 30_000,
+  connectTimeout: 10_000,
+  retry: null, // RETRY_DEFAULTS
+  maxBodyBytes: 10 * 1024 * 1024,
+  credential: null,
+  cookieMode: "inject",
+  forwardSetCookie: false,
+  cookieJar: true,
+  retryTrailingSlash: false,
+  maxRedirects: 5,
+  followRedirects: true,
+  redirectHosts: [],
+  sse: null, // SSE_DEFAULTS
+  rewrite: true,
+  healthPath: "/",
+  cache: false,
+  limits: null,
+};
+
+const RETRY_DEFAULTS = {
+  retries: 2,
+  methods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+  statuses: [502, 503, 504],
+  baseDelay: 200,
+  maxDelay: 3_000,
+};
+
+function normalizeRetry(retry) {
+  if (retry === false) return { ...RETRY_DEFAULTS, retries: 0 };
+  const merged = { ...RETRY_DEFAULTS, ...retry };
+  return { ...merged, methods: merged.methods.map((m) => m.toUpperCase()) };
+}
+
+const SSE_DEFAULTS = {
+  heartbeat: 15_000,
+  idleTimeout: 5 * 60_000,
+};
+
+const CORS_DEFAULTS = {
+  origins: [], // same-origin only
+  methods: null,
+  headers: ["*"],
+  credentials: false,
+  exposeHeaders: [],
+  maxAge: 600,
+};
+
+// Route policy: CORS_DEFAULTS < top-level `cors` < route `cors`
+function normalizeCors(base, override, methods, fail) {
+  if (override === false) return null;
+  const merged = { ...CORS_DEFAULTS, ...base, ...override };
+  if (merged.origins.includes("*") && merged.credentials) {
+    fail('cors: origins "*" can\'t be combined with credentials; list the origins instead');
+  }
+  return {
+    ...merged,
+    origins: merged.origins.map((o) => o.replace(/\/+$/, "").toLowerCase()),
+    methods: (merged.methods ?? methods).map((m) => m.toUpperCase()),
+    headers: merged.headers.map((h) => h.toLowerCase()),
+  };
+}
+
+const COMPRESSION_DEFAULTS = {
+  enabled: true,
+  minBytes: 1024,
+  types: [
+    "text/*",
+    "application/json",
+    "application/javascript",
+    "application/xml",
+    "application/manifest+json",
+    "image/svg+xml",
+  ],
+  encodings: ["br", "gzip", "deflate"],
+};
+const ENCODINGS = ["br", "gzip", "deflate"];
+
+// Route policy: COMPRESSION_DEFAULTS < top-level `compression` < route `compression`
+function normalizeCompression(base, override, fail) {
+  if (override === false) return null;
+  const merged = { ...COMPRESSION_DEFAULTS, ...base, ...override };
+  if (!merged.enabled) return null;
+  const encodings = merged.encodings.map((e) => e.toLowerCase());
+  for (const e of encodings) {
+    if (!ENCODINGS.includes(e)) fail(`compression: unknown encoding "${e}"`);
+  }
+  if (!(merged.minBytes >= 0)) fail(`compression: invalid minBytes ${merged.minBytes}`);
+  return { ...merged, encodings, types: merged.types.map((t) => t.toLowerCase()) };
+}
+
+const AUTH_DEFAULTS = {
+  required: true,
+  schemes: ["session", "bearer", "basic"],
+  cookieName: "proxy_session",
+  sessionTtl: 12 * 60 * 60,
+  loginPath: "/__proxy/login",
+};
+
+function normalizeAuth(auth = {}) {
+  const merged = { ...AUTH_DEFAULTS, ...auth };
+  for (const s of merged.schemes) {
+    if (!AUTH_DEFAULTS.schemes.includes(s)) {
+      throw new Error(`proxy.config: unknown auth scheme "${s}"`);
+    }
+  }
+  return merged;
+}
+
+function normalizeLimits(limits = {}) {
+  const merged = { backend: "memory", users: {}, apiKeys: {}, ...limits };
+  if (!["memory", "file"].includes(merged.backend)) {
+    throw new Error(`proxy.config: unknown limits backend "${merged.backend}"`);
+  }
+  // Parse every limit once so a typo fails at startup, not on the first request
+  for (const limit of [
+    merged.user,
+    merged.apiKey,
+    ...Object.values(merged.users),
+    ...Object.values(merged.apiKeys),
+  ]) {
+    try {
+      normalizeLimit(limit);
+    } catch (err) {
+      throw new Error(`proxy.config: limits: ${err.message}`);
+    }
+  }
+  return merged;
+}
+
+const AUDIT_DEFAULTS = {
+  enabled: true,
+  headers: false,
+  bodies: false,
+  maxBodyBytes: 4096,
+  redact: {
+    cookies: true,
+    authorization: true,
+    headers: [],
+    bodyFields: ["password", "token", "secret", "api_key", "access_token", "refresh_token"],
+  },
+  rotate: { maxBytes: 10 * 1024 * 1024, keep: 5 },
+};
+
+function normalizeAudit(audit = {}) {
+  const redact = { ...AUDIT_DEFAULTS.redact, ...audit.redact };
+  return {
+    ...AUDIT_DEFAULTS,
+    ...audit,
+    redact: { ...redact, headers: redact.headers.map((h) => h.toLowerCase()) },
+    rotate: { ...AUDIT_DEFAULTS.rotate, ...audit.rotate },
+  };
+}
+
+const BREAKER_DEFAULTS = {
+  enabled: true,
+  errorRate: 0.5,
+  minRequests: 10,
+  windowMs: 60_000,
+  openMs: 30_000,
+  halfOpenRequests: 1,
+  statuses: [502, 503, 504],
+};
+
+function normalizeBreaker(breaker = {}) {
+  const merged = { ...BREAKER_DEFAULTS, ...breaker };
+  if (!(merged.errorRate > 0 && merged.errorRate <= 1)) {
+    throw new Error(`proxy.config: breaker.errorRate must be in (0, 1], got ${merged.errorRate}`);
+  }
+  return merged;
+}
+
+const HEALTH_DEFAULTS = {
+  enabled: true,
+  interval: 30_000,
+  timeout: 5_000,
+};
+
+const CACHE_DEFAULTS = {
+  backend: "memory",
+  maxBytes: 64 * 1024 * 1024,
+  maxEntryBytes: 1024 * 1024,
+};
+
+function normalizeCache(cache = {}) {
+  const merged = { ...CACHE_DEFAULTS, ...cache };
+  if (!["memory", "file"].includes(merged.backend)) {
+    throw new Error(`proxy.config: unknown cache backend "${merged.backend}"`);
+  }
+  return merged;
+}
+
+const EGRESS_DEFAULTS = {
+  allowPrivate: false,
+  allow: [],
+};
+
+function normalizeEgress(egress = {}) {
+  const merged = { ...EGRESS_DEFAULTS, ...egress };
+  return { ...merged, allow: merged.allow.map((a) => a.toLowerCase()) };
+}
+
+const HAR_DEFAULTS = {
+  mode: "off",
+  routes: null,
+  maxBodyBytes: 256 * 1024,
+  maxEntries: 1000,
+  file: null,
+};
+
+function normalizeHar(har = {}) {
+  const merged = { ...HAR_DEFAULTS, ...har };
+  if (!["off", "record", "replay"].includes(merged.mode)) {
+    throw new Error(`proxy.config: unknown har mode "${merged.mode}"`);
+  }
+  if (merged.mode === "replay" && !merged.file) {
+    throw new Error('proxy.config: har.mode "replay" needs har.file');
+  }
+  return merged;
+}
+
+const TRACING_DEFAULTS = {
+  enabled: false,
+  exporter: "otlp",
+  endpoint: "http://localhost:4318/v1/traces",
+  headers: {},
+  serviceName: "next-proxy",
+  sampleRate: 1,
+};
+
+function normalizeTracing(tracing = {}) {
+  const merged = { ...TRACING_DEFAULTS, ...tracing };
+  if (!["otlp", "console", "file"].includes(merged.exporter)) {
+    throw new Error(`proxy.config: unknown tracing exporter "${merged.exporter}"`);
+  }
+  if (!(merged.sampleRate >= 0 && merged.sampleRate <= 1)) {
+    throw new Error("proxy.config: tracing.sampleRate must be between 0 and 1");
+  }
+  return merged;
+}
+
+function normalizeHeaderPolicy(policy = {}, fail, where) {
+  const lower = (list) => (list || []).map((k) => k.toLowerCase());
+  const values = (obj) => {
+    const out = {};
+    for (const [k, v] of Object.entries(obj || {})) {
+      const unknown = templateVars(String(v)).filter((name) => !HEADER_VARS.includes(name));
+      if (unknown.length) fail(`${where} header "${k}" uses unknown variable(s) ${unknown.join(", ")}`);
+      out[k.toLowerCase()] = String(v);
+    }
+    return out;
+  };
+  const rename = {};
+  for (const [from, to] of Object.entries(policy.rename || {})) {
+    rename[from.toLowerCase()] = to.toLowerCase();
+  }
+  return {
+    rename,
+    deny: [...lower(policy.deny), ...lower(policy.remove)],
+    allow: policy.allow ? lower(policy.allow) : null,
+    set: values(policy.set),
+    append: values(policy.append),
+  };
+}
+
+function normalizePrefix(prefix) {
+  if (!prefix.startsWith("/")) prefix = "/" + prefix;
+  return prefix.length > 1 ? prefix.replace(/\/+$/, "") : prefix;
+}
+
+// `defaults` are the top-level settings routes inherit: { auth, cors, compression }
+export function normalizeRoute(route, index = 0, defaults = {}) {
+  const { auth = AUTH_DEFAULTS, cors, compression } = defaults;
+  const name = route.name || `route-${index}`;
+  const fail = (msg) => {
+    throw new Error(`proxy.config: route "${name}" ${msg}`);
+  };
+
+  if (!route.upstream) fail("is missing `upstream`");
+  let upstream;
+  try {
+    upstream = new URL(route.upstream);
+  } catch {
+    fail(`has an invalid upstream URL: ${route.upstream}`);
+  }
+  if (!["http:", "https:"].includes(upstream.protocol)) {
+    fail("upstream must be http(s)");
+  }
+
+  if ("injectCookies" in route) {
+    fail("sets `injectCookies`; store the cookie with `npm run credentials` and use `credential` instead");
+  }
+
+  const merged = { ...ROUTE_DEFAULTS, ...route };
+  try {
+    normalizeLimit(merged.limits);
+  } catch (err) {
+    fail(`has invalid limits: ${err.message}`);
+  }
+  if (!["inject", "merge"].includes(merged.cookieMode)) {
+    fail(`has an unknown cookieMode "${merged.cookieMode}"`);
+  }
+  for (const key of ["timeout", "connectTimeout"]) {
+    if (!(merged[key] > 0)) fail(`has an invalid ${key}: ${merged[key]}`);
+  }
+
+  return {
+    ...merged,
+    name,
+    upstream: upstream.origin,
+    host: merged.host.toLowerCase(),
+    redirectHosts: merged.redirectHosts.map((h) => h.toLowerCase()),
+    prefix: normalizePrefix(merged.prefix),
+    methods: merged.methods.map((m) => m.toUpperCase()),
+    cors: normalizeCors(cors, route.cors, merged.methods, fail),
+    compression: normalizeCompression(compression, route.compression, fail),
+    auth: route.auth ?? auth.required,
+    retry: normalizeRetry(merged.retry),
+    cache: merged.cache ? { ttl: merged.cache.ttl ?? null } : null,
+    sse: { ...SSE_DEFAULTS, ...merged.sse },
+    headers: {
+      request: normalizeHeaderPolicy(route.headers?.request, fail, "request"),
+      response: normalizeHeaderPolicy(route.headers?.response, fail, "response"),
+    },
+  };
+}
+
+export function normalizeConfig(config) {
+  const auth = normalizeAuth(config?.auth);
+  const defaults = { auth, cors: config?.cors, compression: config?.compression };
+  const routes = (config?.routes || []).map((r, i) => normalizeRoute(r, i, defaults));
+  const names = new Set();
+  for (const r of routes) {
+    if (names.has(r.name)) throw new Error(`proxy.config: duplicate route "${r.name}"`);
+    names.add(r.name);
+  }
+  return {
+    ...config,
+    auth,
+    limits: normalizeLimits(config?.limits),
+    audit: normalizeAudit(config?.audit),
+    breaker: normalizeBreaker(config?.breaker),
+    health: { ...HEALTH_DEFAULTS, ...config?.health },
+    cache: normalizeCache(config?.cache),
+    egress: normalizeEgress(config?.egress),
+    har: normalizeHar(config?.har),
+    tracing: normalizeTracing(config?.tracing),
+    routes,
+  };
+}
+
+let cached;
+
+export function loadConfig() {
+  cached ??= normalizeConfig(userConfig);
+  return cached;
+}
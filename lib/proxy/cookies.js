@@ -0,0 +1,50 @@
+// lib/proxy/cookies.js — cookie merging and Set-Cookie passthrough
+
+// Analytics/tracking noise we drop to keep the header small and avoid blocks
+const TRACKING_COOKIE = /^(_ga|_gid|_gcl_au|__utm|_hj|apt\.)/i;
+
+// Merge cookie strings safely, dedupe by name, cap length
+export function mergeCookies(cookieStrings, maxLen = 4096, omit = []) {
+  const map = new Map();
+  for (const str of cookieStrings) {
+    for (const part of str.split(";")) {
+      const kv = part.trim();
+      if (!kv) continue;
+      const eq = kv.indexOf("=");
+      if (eq === -1) continue;
+      const name = kv.slice(0, eq).trim();
+      const value = kv.slice(eq + 1).trim();
+      if (!name) continue;
+      if (TRACKING_COOKIE.test(name)) continue;
+      if (omit.includes(name)) continue;
+      map.set(name, value);
+    }
+  }
+  const merged = [...map.entries()].map(([k, v]) => `${k}=${v}`).join("; ");
+  return merged.length > maxLen ? merged.slice(0, maxLen) : merged;
+}
+
+// Cookie header sent upstream:
+//   "inject" — never forward browser cookies; send only ours (`injected`)
+//   "merge"  — browser cookies plus ours (ours win on name clashes)
+// `omit` names browser cookies that belong to the proxy itself (e.g. its session)
+export function upstreamCookie(req, { cookieMode }, injected = "", omit = []) {
+  if (cookieMode === "merge") {
+    const incoming = req.headers.get("cookie") || "";
+    return mergeCookies([incoming, injected].filter(Boolean), 4096, omit);
+  }
+  return injected;
+}
+
+// All Set-Cookie values of a Headers object (one entry per cookie)
+export function getSetCookies(headers) {
+  if (typeof headers.getSetCookie === "function") return headers.getSetCookie();
+  const raw = headers.raw?.()?.["set-cookie"];
+  if (Array.isArray(raw)) return raw;
+  const sc = headers.get("set-cookie");
+  return sc ? [sc] : [];
+}
+
+export function copySetCookie(src, dst) {
+  for (const sc of getSetCookies(src)) dst.append("set-cookie", sc);
+}
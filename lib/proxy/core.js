@@ -0,0 +1,749 @@
+// lib/proxy/core.js — the one proxy engine behind middleware.js and the route handler
+//
+// Only Web APIs (fetch, Headers, Response) are used here so the same code runs
+// in the Edge runtime and in Node.
+
+import {
+  appendVary,
+  applyHeaderPolicy,
+  copyRequestHeaders,
+  copyResponseHeaders,
+} from "./headers.js";
+import {
+  copySetCookie,
+  getSetCookies,
+  mergeCookies,
+  upstreamCookie,
+} from "./cookies.js";
+import { decodedFetch, fetchFollow } from "./fetch.js";
+import { withRetry } from "./retry.js";
+import { anySignal, deadline } from "./signals.js";
+import { createBreakers } from "./breaker.js";
+import { parseCacheControl, sharedWhenAuthorized } from "./cache.js";
+import { createRewriter, rewriteKind } from "./rewrite.js";
+import { SSE_HEADERS, sseStream } from "./sse.js";
+import {
+  acceptedEncodings,
+  compressible,
+  contentCodings,
+  decodeResponse,
+  negotiate,
+  webCodecs,
+} from "./encoding.js";
+import { applyCors, isPreflight, preflightResponse } from "./cors.js";
+import { loadConfig, normalizeConfig } from "./config.js";
+import { buildUpstreamUrl, createRouter, redirectAllowed } from "./routes.js";
+import { createEgressPolicy, isEgressBlocked } from "./egress.js";
+import { DEFER, unauthorized } from "./auth.js";
+import { redact } from "./redact.js";
+import { policiesFor } from "./ratelimit.js";
+import { countingStream, headersForLog, readBodyForLog } from "./audit.js";
+import { declaredTooLarge, isBodyTooLarge, limitBody } from "./body.js";
+import { isReplayMiss, recordingFetch } from "./har.js";
+import { parseTraceparent, tracedFetch } from "./tracing.js";
+
+// The proxy's own pages and APIs live here and are never forwarded upstream
+export const INTERNAL_PREFIX = "/__proxy";
+
+export function textError(status, message, headers = {}) {
+  return new Response(message, {
+    status,
+    headers: { "content-type": "text/plain; charset=utf-8", ...headers },
+  });
+}
+
+// Values for `${...}` templates in route header policies (headers.js)
+function headerVars(req, route, upstreamUrl, identity) {
+  const proxy = new URL(req.url);
+  const upstream = new URL(upstreamUrl);
+  return {
+    "upstream.origin": upstream.origin,
+    "upstream.host": upstream.host,
+    "upstream.url": upstream.href,
+    "proxy.origin": proxy.origin,
+    "proxy.host": proxy.host,
+    "request.method": req.method,
+    "request.path": proxy.pathname,
+    "route.name": route.name,
+    "user.name": identity?.user?.name ?? "",
+  };
+}
+
+/**
+ * createProxy(options) → { handle, router, admit, record, previewHeaders }
+ *
+ *   config       overrides proxy.config.mjs (handy for tests/scripts)
+ *   via          value of the x-proxied-by response header
+ *   authenticate from createAuthenticator() in auth.js
+ *   credentials  resolves a route's `credential` at request time (node/credentials.js)
+ *   jars         per-user cookie jars (node/jars.js)
+ *   limiter      rate limits and quotas (ratelimit.js)
+ *   audit        sink receiving one record per request (audit.js, node/audit-file.js)
+ *   breakers     circuit breakers per upstream (breaker.js); one set per proxy by default
+ *   cache        response cache for routes with `cache` set (cache.js)
+ *   fetch        upstream transport for fetchFollow(); the default decodes
+ *                bodies, node/transport.js leaves them as the upstream sent them
+ *   guardedTransport  true when `fetch` checks the addresses hostnames resolve
+ *                to (node/egress.js); otherwise hostname upstreams, and routes
+ *                with redirectHosts, go to defer()
+ *   codecs       content codings the proxy can decode and compress with
+ *                (encoding.js; node/codecs.js adds br)
+ *   recorder     HAR sink for `har.mode: "record"` (har.js, node/har-file.js)
+ *   replay       replayer for `har.mode: "replay"`; its fetch stands in for the network
+ *   metrics      request counters and histograms (metrics.js)
+ *   tracer       spans for `tracing.enabled` (tracing.js); requests, attempts
+ *                and redirect hops are traced, traceparent goes upstream
+ *   defer(req)   response to use when the request needs something this runtime
+ *                lacks — the Edge middleware hands it to the Node route handler
+ */
+export function createProxy({
+  config,
+  via = "next-proxy",
+  authenticate,
+  defer = () => textError(500, "This request needs the Node runtime"),
+  credentials,
+  jars,
+  limiter,
+  audit,
+  breakers,
+  cache,
+  fetch: upstreamFetch,
+  guardedTransport = false,
+  codecs = webCodecs,
+  recorder,
+  replay,
+  metrics,
+  tracer,
+} = {}) {
+  const {
+    routes,
+    auth,
+    limits,
+    audit: auditPolicy,
+    breaker: breakerPolicy,
+    egress: egressConfig,
+    har: harPolicy,
+    tracing,
+  } = config ? normalizeConfig(config) : loadConfig();
+  const egress = createEgressPolicy(egressConfig);
+  const auditSink = auditPolicy.enabled ? audit : null;
+  breakers ??= createBreakers(breakerPolicy);
+  const router = createRouter(routes);
+
+  function buildRequestHeaders(req, route, identity, injected, vars) {
+    const upstream = new URL(route.upstream);
+    // Some sites check Origin/Referer
+    const headers = copyRequestHeaders(req, {
+      origin: upstream.origin,
+      referer: upstream.origin + "/",
+    });
+    // Only codings we could undo: the body may have to be read or re-encoded
+    const encodings = acceptedEncodings(req.headers.get("accept-encoding"), Object.keys(codecs));
+    if (encodings.length) headers.set("accept-encoding", encodings.join(", "));
+    // The proxy's own credentials never reach the upstream
+    if (identity?.scheme === "bearer" || identity?.scheme === "basic") {
+      headers.delete("authorization");
+    }
+    const cookie = upstreamCookie(req, route, injected, [auth.cookieName]);
+    if (cookie) headers.set("cookie", cookie);
+    else headers.delete("cookie");
+    return applyHeaderPolicy(headers, route.headers.request, vars);
+  }
+
+  function createContext() {
+    return {
+      started: Date.now(),
+      route: null,
+      identity: null,
+      upstreamUrl: null,
+      redirects: [],
+      retries: 0,
+      cache: null, // HIT, MISS, REVALIDATED or BYPASS on routes with `cache`
+      sse: null, // event-stream stats, see sse.js
+      error: null,
+      upstreamError: null, // "timeout" or "error", for metrics
+      limited: null, // "rate" or "quota" when a limit rejected the request
+      deferred: false,
+      delivered: false, // built by toClient(), CORS headers included
+      span: null, // the request's server span when tracing
+      body: { bytes: 0 }, // request body bytes actually streamed upstream
+    };
+  }
+
+  async function handle(req) {
+    const ctx = createContext();
+    // Spans are exported by the Node runtime
+    if (tracing.enabled) {
+      if (!tracer) return deferTo(req, ctx);
+      ctx.span = startSpan(req);
+    }
+    // Cloned before the upstream fetch consumes the body
+    const body = auditSink ? readBodyForLog(req, auditPolicy).catch(() => undefined) : null;
+    const res = await proxyRequest(req, ctx);
+    if ((!auditSink && !metrics && !ctx.span) || ctx.deferred) return res;
+    return observe(req, res, ctx, body);
+  }
+
+  // Continues the client's trace when it sent a traceparent
+  function startSpan(req) {
+    const inUrl = new URL(req.url);
+    return tracer.start(req.method, {
+      parent: parseTraceparent(req.headers.get("traceparent")),
+      kind: "server",
+      attributes: {
+        "http.request.method": req.method,
+        "url.path": inUrl.pathname,
+        "url.query": redact(inUrl.search.slice(1)) || undefined,
+        "user_agent.original": req.headers.get("user-agent") || undefined,
+      },
+    });
+  }
+
+  function endSpan(req, ctx, status, bytesOut, error) {
+    const span = ctx.span;
+    if (ctx.route) span.name = `${req.method} ${ctx.route.name}`;
+    span.set({
+      "http.response.status_code": status,
+      "http.request.body.size": ctx.body.bytes,
+      "http.response.body.size": bytesOut,
+      "proxy.route": ctx.route?.name,
+      "proxy.cache": ctx.cache,
+      "proxy.retries": ctx.retries || undefined,
+      "proxy.redirects": ctx.redirects.length || undefined,
+      "enduser.id": ctx.identity?.user?.name,
+    });
+    if (status >= 500 || error) span.fail(ctx.error || redact(error?.message || error || `HTTP ${status}`));
+    span.end();
+  }
+
+  async function writeAudit(req, ctx, { status, bytesOut, latencyMs, responseHeaders, error, body }) {
+    const inUrl = new URL(req.url);
+    const record = {
+      ts: new Date(ctx.started).toISOString(),
+      via,
+      user: ctx.identity?.user?.name ?? null,
+      scheme: ctx.identity?.scheme ?? null,
+      keyId: ctx.identity?.keyId ?? null,
+      method: req.method,
+      path: inUrl.pathname,
+      query: redact(inUrl.search) || undefined,
+      route: ctx.route?.name ?? null,
+      upstream: ctx.upstreamUrl ? redact(ctx.upstreamUrl) : null,
+      status,
+      bytesIn: ctx.body.bytes,
+      bytesOut,
+      latencyMs,
+      durationMs: Date.now() - ctx.started,
+      redirects: ctx.redirects,
+      retries: ctx.retries || undefined,
+      cache: ctx.cache ?? undefined,
+      sse: ctx.sse ?? undefined,
+      error: ctx.error || (error ? redact(error.message || error) : undefined),
+      traceId: ctx.span?.traceId,
+    };
+    if (auditPolicy.headers) {
+      record.requestHeaders = headersForLog(req.headers, auditPolicy);
+      if (responseHeaders) record.responseHeaders = headersForLog(responseHeaders, auditPolicy);
+    }
+    const requestBody = await body;
+    if (requestBody !== undefined) record.requestBody = requestBody;
+    await auditSink.write(record);
+  }
+
+  // Reports metrics once the headers are ready; emits the audit record, the
+  // byte counts and the span once the response body has been fully sent (or aborted)
+  function observe(req, res, ctx, body) {
+    const latencyMs = Date.now() - ctx.started;
+    const route = ctx.route?.name;
+    const sse = Boolean(ctx.sse);
+    metrics?.responded({
+      route,
+      method: req.method,
+      status: res.status,
+      latencyMs,
+      cache: ctx.cache,
+      upstreamError: ctx.upstreamError,
+      limited: ctx.limited,
+      sse,
+    });
+    const emit = (bytesOut, error) => {
+      metrics?.finished({ route, bytesIn: ctx.body.bytes, bytesOut, sse });
+      if (ctx.span) endSpan(req, ctx, res.status, bytesOut, error);
+      if (!auditSink) return;
+      writeAudit(req, ctx, {
+        status: res.status,
+        bytesOut,
+        latencyMs,
+        responseHeaders: res.headers,
+        error,
+        body,
+      }).catch(() => {});
+    };
+
+    if (!res.body) {
+      emit(0, null);
+      return res;
+    }
+    const counted = res.body.pipeThrough(countingStream(emit));
+    return new Response(counted, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+    });
+  }
+
+  function deferTo(req, ctx) {
+    ctx.deferred = true;
+    return defer(req);
+  }
+
+  // The route for a URL; the proxy's own pages never match one
+  function matchRoute(inUrl) {
+    const internal =
+      inUrl.pathname === INTERNAL_PREFIX ||
+      inUrl.pathname.startsWith(INTERNAL_PREFIX + "/");
+    return internal ? null : router.match(inUrl);
+  }
+
+  /**
+   * Everything before the upstream is contacted: routing, method and size
+   * checks, authentication, rate limits, the upstream credential and the
+   * upstream request headers. Resolves to a Response when the request stops
+   * here (rejected or deferred), otherwise to the upstream target.
+   */
+  async function admit(req, ctx) {
+    const inUrl = new URL(req.url);
+    const route = matchRoute(inUrl);
+    ctx.route = route;
+    if (!route) {
+      return textError(404, `No upstream configured for ${inUrl.pathname}`);
+    }
+    // Answered here per the route's policy; other OPTIONS requests go upstream
+    if (route.cors && isPreflight(req)) return preflightResponse(req, route.cors);
+    if (!route.methods.includes(req.method)) {
+      return textError(405, `Method ${req.method} not allowed`, {
+        allow: route.methods.join(", "),
+      });
+    }
+    if (declaredTooLarge(req, route.maxBodyBytes)) {
+      return textError(413, `Request body exceeds ${route.maxBodyBytes} bytes`);
+    }
+
+    // Authentication gate — runs before anything touches the upstream
+    let identity = null;
+    if (route.auth) {
+      identity = authenticate ? await authenticate(req) : null;
+      if (identity === DEFER) return deferTo(req, ctx);
+      if (!identity) return unauthorized(req, auth);
+    }
+    ctx.identity = identity;
+
+    let upstreamUrl;
+    try {
+      upstreamUrl = buildUpstreamUrl(route, inUrl);
+    } catch (err) {
+      if (err?.name !== "BadPathError") throw err;
+      return textError(400, err.message);
+    }
+    ctx.upstreamUrl = upstreamUrl;
+    // Literal addresses only; the Node transport also checks what DNS returns
+    const blocked = egress.checkUrl(upstreamUrl);
+    if (blocked) {
+      ctx.error = `egress blocked: ${blocked}`;
+      return textError(403, `Egress blocked: ${blocked}`);
+    }
+    // Without that transport, hostnames (the upstream's, or a redirect host's)
+    // could resolve to anything
+    const redirectsAway = route.followRedirects && route.redirectHosts.length > 0;
+    if (!guardedTransport && (egress.needsLookup(upstreamUrl) || redirectsAway)) {
+      return deferTo(req, ctx);
+    }
+
+    // Rate limits and daily quotas (per user, per API key, per route)
+    let limitHeaders = {};
+    if (policiesFor(limits, identity, route).length) {
+      if (!limiter) return deferTo(req, ctx);
+      const verdict = await limiter.check(identity, route);
+      if (!verdict.allowed) {
+        ctx.limited = verdict.quotaExceeded ? "quota" : "rate";
+        return textError(
+          429,
+          verdict.quotaExceeded ? "Daily quota exceeded" : "Rate limit exceeded",
+          verdict.headers
+        );
+      }
+      limitHeaders = verdict.headers;
+    }
+
+    // Upstream credentials are decrypted only now, for this request
+    let injected = "";
+    if (route.credential) {
+      if (!credentials) return deferTo(req, ctx);
+      try {
+        injected = await credentials.resolve(route.credential);
+      } catch (err) {
+        return textError(500, `Credential store error: ${redact(err?.message || err)}`);
+      }
+      if (!injected) {
+        return textError(
+          503,
+          `Upstream credential "${route.credential}" is missing or expired`
+        );
+      }
+    }
+
+    // Authenticated users get a server-side cookie jar: upstream Set-Cookie is
+    // captured there (on every redirect hop) and replayed, never sent to the browser
+    const jarUser = route.cookieJar && identity?.user ? identity.user.name : null;
+    if (jarUser && !jars) return deferTo(req, ctx);
+
+    const vars = headerVars(req, route, upstreamUrl, identity);
+    const requestHeaders = buildRequestHeaders(req, route, identity, injected, vars);
+    return { route, identity, injected, jarUser, limitHeaders, upstreamUrl, requestHeaders, vars };
+  }
+
+  async function proxyRequest(req, ctx) {
+    const target = await admit(req, ctx);
+    const res = target instanceof Response ? target : await forward(req, ctx, target);
+    const route = ctx.route;
+    if (!route?.cors || ctx.delivered || ctx.deferred || isPreflight(req)) return res;
+    // The proxy's own answers (401, 429, 502...) too, so allowed origins can read them
+    return new Response(res.body, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: applyCors(new Headers(res.headers), req, route.cors),
+    });
+  }
+
+  async function forward(req, ctx, target) {
+    const { route, identity, injected, jarUser, limitHeaders, upstreamUrl, requestHeaders, vars } = target;
+    const finish = (res) => toClient(req, route, res, ctx, { jarUser, limitHeaders, vars });
+
+    // HAR files are written and read by the Node runtime
+    const recording =
+      harPolicy.mode === "record" && (!harPolicy.routes || harPolicy.routes.includes(route.name));
+    if ((recording && !recorder) || (harPolicy.mode === "replay" && !replay)) {
+      return deferTo(req, ctx);
+    }
+    let transport = harPolicy.mode === "replay" ? replay.fetch : upstreamFetch;
+    if (recording) {
+      // One HAR file per proxy user for this recording session
+      const session = identity?.user?.name ?? "anonymous";
+      transport = recordingFetch(transport ?? decodedFetch, {
+        policy: harPolicy,
+        redactPolicy: auditPolicy.redact,
+        codecs,
+        onEntry: (entry) => recorder.write(session, { ...entry, _route: route.name }),
+      });
+    }
+
+    // Shared response cache: GETs only, and never when the upstream request
+    // would carry the user's own cookies (from the browser or their jar).
+    // With an Authorization header it isn't looked up, and the response is only
+    // stored when it allows sharing
+    let cached = null;
+    let cacheable = false;
+    const authorized = requestHeaders.has("authorization");
+    const directives = parseCacheControl(req.headers.get("cache-control"));
+    if (route.cache && req.method === "GET") {
+      if (!cache) return deferTo(req, ctx);
+      const browserCookies =
+        route.cookieMode === "merge" &&
+        mergeCookies([req.headers.get("cookie") || ""], 4096, [auth.cookieName]);
+      const jarCookies = jarUser && (await jars.cookieHeader(jarUser, upstreamUrl));
+      cacheable = !browserCookies && !jarCookies && !directives["no-store"];
+      ctx.cache = "BYPASS";
+    }
+    if (cacheable && !authorized) {
+      cached = await cache.lookup(upstreamUrl, req);
+      if (cached?.fresh && !directives["no-cache"]) {
+        ctx.cache = "HIT";
+        return finish(cache.respond(cached.entry, req));
+      }
+      // Our validators, not the browser's: a 304 must be about the stored copy
+      requestHeaders.delete("if-none-match");
+      requestHeaders.delete("if-modified-since");
+      if (cached) {
+        for (const [k, v] of Object.entries(cache.conditionalHeaders(cached.entry))) {
+          requestHeaders.set(k, v);
+        }
+      }
+    }
+
+    // Fail fast while the upstream is known to be down
+    const breaker = breakerPolicy.enabled ? breakers.get(route.upstream) : null;
+    const admitted = breaker?.acquire() ?? { allowed: true };
+    if (!admitted.allowed) {
+      ctx.error = "circuit open";
+      return textError(503, `Upstream ${new URL(route.upstream).host} is unavailable`, {
+        "retry-after": String(Math.ceil(admitted.retryAfterMs / 1000)),
+      });
+    }
+
+    const hasBody = !["GET", "HEAD"].includes(req.method) && req.body !== null;
+    // `timeout` covers everything up to the response headers (retries and
+    // redirects included); a client disconnect cancels the upstream at any point,
+    // including while its body is still streaming
+    const timeout = deadline(route.timeout, `Upstream timed out after ${route.timeout}ms`);
+    const init = {
+      method: req.method,
+      headers: requestHeaders,
+      signal: anySignal([timeout.signal, req.signal]),
+    };
+    if (hasBody) {
+      // Stream straight through; the cap also catches a missing or lying content-length
+      init.body = limitBody(req.body, route.maxBodyBytes, ctx.body);
+      init.duplex = "half";
+    }
+
+    const hooks = {
+      async beforeHop(url, hopInit) {
+        ctx.upstreamUrl = url;
+        if (!jarUser) return hopInit;
+        // hopInit has no cookie left after a hop to another origin (fetch.js)
+        const headers = new Headers(hopInit.headers);
+        const cookie = mergeCookies([
+          headers.get("cookie") || "",
+          await jars.cookieHeader(jarUser, url),
+        ]);
+        if (cookie) headers.set("cookie", cookie);
+        return { ...hopInit, headers };
+      },
+      async afterHop(url, res) {
+        if (jarUser) await jars.capture(jarUser, url, getSetCookies(res.headers));
+      },
+      redirected(url, to, status) {
+        ctx.redirects.push({ url: redact(url), status });
+      },
+    };
+
+    // When tracing, each attempt is a span and each redirect hop a client span under it
+    async function attempt(url, n) {
+      const span = ctx.span && tracer.start("upstream attempt", {
+        parent: ctx.span,
+        attributes: { "proxy.attempt": n + 1 },
+      });
+      try {
+        const res = await fetchFollow(url, init, route.maxRedirects, hooks, {
+          connectTimeout: route.connectTimeout,
+          fetch: span ? tracedFetch(transport ?? decodedFetch, tracer, span, redact) : transport,
+          // Anything else goes back to the client, Location rewritten when it can be
+          canFollow: (from, to) =>
+            route.followRedirects && redirectAllowed(route, to) && !egress.checkUrl(to),
+        });
+        span?.set({ "http.response.status_code": res.status });
+        if (res.status >= 500) span?.fail(`HTTP ${res.status}`);
+        return res;
+      } catch (err) {
+        span?.fail({ name: err?.name, message: redact(err?.message || err) });
+        throw err;
+      } finally {
+        span?.end();
+      }
+    }
+
+    const send = (url) =>
+      withRetry((n) => attempt(url, n), route.retry, {
+        method: req.method,
+        hasBody,
+        signal: init.signal,
+        onRetry({ attempt: retry, delay, status, error }) {
+          ctx.retries++;
+          ctx.span?.event("retry", {
+            "proxy.retry": retry,
+            "proxy.retry.delay_ms": delay,
+            "http.response.status_code": status,
+            "exception.message": error && redact(error.message || error),
+          });
+        },
+      });
+
+    let upstreamRes;
+    try {
+      upstreamRes = await send(upstreamUrl);
+
+      if (
+        route.retryTrailingSlash &&
+        upstreamRes.status === 404 &&
+        !hasBody &&
+        !new URL(upstreamUrl).pathname.endsWith("/")
+      ) {
+        const retry = new URL(upstreamUrl);
+        retry.pathname += "/";
+        const retried = await send(retry.toString());
+        // Whichever 404 is dropped is drained, or it holds on to its connection
+        const discarded = retried.status !== 404 ? upstreamRes : retried;
+        if (retried.status !== 404) upstreamRes = retried;
+        await discarded.body?.cancel().catch(() => {});
+      }
+      breaker?.record(!breakerPolicy.statuses.includes(upstreamRes.status));
+    } catch (err) {
+      ctx.error = redact(err?.message || err);
+      if (req.signal?.aborted) {
+        breaker?.record(null);
+        // Nobody is listening any more; the status is only for the audit log
+        ctx.error = "client disconnected";
+        return textError(499, "Client closed request");
+      }
+      if (ctx.body.exceeded || isBodyTooLarge(err)) {
+        breaker?.record(null);
+        return textError(413, `Request body exceeds ${route.maxBodyBytes} bytes`);
+      }
+      if (isEgressBlocked(err)) {
+        breaker?.record(null);
+        return textError(403, ctx.error);
+      }
+      if (isReplayMiss(err)) {
+        breaker?.record(null);
+        return textError(502, ctx.error);
+      }
+      breaker?.record(false);
+      if (err?.name === "TimeoutError") {
+        ctx.upstreamError = "timeout";
+        return textError(504, ctx.error);
+      }
+      // Network/TLS/DNS/CDN block/etc.
+      ctx.upstreamError = "error";
+      return textError(502, `Upstream fetch failed: ${ctx.error}`);
+    } finally {
+      timeout.clear();
+    }
+
+    // Bodies the proxy reads (cache, rewriting, event streams) or the client
+    // can't take are decoded; the rest pass through as the upstream encoded them
+    const codings = contentCodings(upstreamRes.headers);
+    if (
+      codings.length &&
+      (cacheable ||
+        readsBody(route, upstreamRes) ||
+        acceptedEncodings(req.headers.get("accept-encoding"), codings).length < codings.length)
+    ) {
+      upstreamRes = decodeResponse(upstreamRes, codecs);
+    }
+
+    if (cacheable) {
+      if (cached && upstreamRes.status === 304) {
+        ctx.cache = "REVALIDATED";
+        const entry = await cache.refresh(upstreamUrl, cached.entry, upstreamRes, route);
+        upstreamRes = cache.respond(entry, req);
+      } else if (!authorized || sharedWhenAuthorized(upstreamRes.headers)) {
+        ctx.cache = "MISS";
+        upstreamRes = cache.save(upstreamUrl, req, upstreamRes, route, { authorized });
+      }
+    }
+
+    return finish(upstreamRes);
+  }
+
+  function readsBody(route, res) {
+    const ctype = res.headers.get("content-type") || "";
+    return ctype.includes("text/event-stream") || Boolean(route.rewrite && rewriteKind(ctype));
+  }
+
+  // The client's response: upstream (or cached) status, body and headers, plus ours
+  function toClient(req, route, upstreamRes, ctx, { jarUser, limitHeaders, vars }) {
+    ctx.delivered = true;
+    const resHeaders = copyResponseHeaders(upstreamRes, {
+      "cache-control": upstreamRes.headers.get("cache-control") || "no-store",
+      "x-proxy-target": new URL(route.upstream).host,
+      "x-proxy-route": route.name,
+      "x-proxied-by": via,
+      ...limitHeaders,
+    });
+    if (ctx.cache) resHeaders.set("x-proxy-cache", ctx.cache);
+    // Debugging aid: the hops followed server-side, e.g. "302 https://a/login, 301 https://a/home"
+    if (ctx.redirects.length) {
+      resHeaders.set("x-proxy-redirects", ctx.redirects.map((r) => `${r.status} ${r.url}`).join(", "));
+    }
+    if (route.cors) applyCors(resHeaders, req, route.cors);
+    if (route.forwardSetCookie && !jarUser) copySetCookie(upstreamRes.headers, resHeaders);
+
+    // Event streams: unbuffered, with heartbeats and an idle timeout of their own
+    let body = upstreamRes.body;
+    const ctype = upstreamRes.headers.get("content-type") || "";
+    if (ctype.includes("text/event-stream")) {
+      for (const [k, v] of Object.entries(SSE_HEADERS)) resHeaders.set(k, v);
+      if (body) body = sseStream(body, route.sse, (ctx.sse = {}));
+    }
+
+    // Links, redirects and assets that point at the upstream point at us instead;
+    // a redirect handed back to the client always does, whatever `rewrite` says
+    const redirect = upstreamRes.status >= 300 && upstreamRes.status < 400 && resHeaders.has("location");
+    if (route.rewrite || redirect) {
+      const rewriter = createRewriter(router, route, new URL(req.url).origin);
+      for (const name of route.rewrite ? ["location", "content-location"] : ["location"]) {
+        if (resHeaders.has(name)) {
+          resHeaders.set(name, rewriter.location(resHeaders.get(name), ctx.upstreamUrl));
+        }
+      }
+      const kind = route.rewrite && body && rewriteKind(ctype);
+      if (kind) body = rewriter.stream(body, kind);
+    }
+
+    // Compressed for the client, unless it still has the upstream's encoding
+    if (resHeaders.has("content-encoding")) {
+      appendVary(resHeaders, "Accept-Encoding");
+    } else {
+      const length = upstreamRes.headers.has("content-length")
+        ? Number(upstreamRes.headers.get("content-length"))
+        : null;
+      if (compressible(req, upstreamRes, route.compression, length)) {
+        appendVary(resHeaders, "Accept-Encoding");
+        const available = route.compression.encodings.filter((e) => codecs[e]);
+        const encoding = negotiate(req.headers.get("accept-encoding"), available);
+        if (encoding) {
+          body = codecs[encoding].encode(body);
+          resHeaders.set("content-encoding", encoding);
+          // A different representation: only weakly the same as the upstream's
+          const etag = resHeaders.get("etag");
+          if (etag && !etag.startsWith("W/")) resHeaders.set("etag", `W/${etag}`);
+        }
+      }
+    }
+    applyHeaderPolicy(resHeaders, route.headers.response, vars);
+
+    return new Response(body, {
+      status: upstreamRes.status,
+      statusText: upstreamRes.statusText,
+      headers: resHeaders,
+    });
+  }
+
+  // For transports fetch() can't carry (WebSocket tunnels, node/websocket.js):
+  // the same gate as handle(), then an audit record once the caller is done
+  async function admitRequest(req) {
+    const ctx = createContext();
+    const result = await admit(req, ctx);
+    return result instanceof Response ? { ctx, response: result } : { ctx, target: result };
+  }
+
+  async function record(req, ctx, outcome) {
+    if (auditSink) await writeAudit(req, ctx, outcome);
+  }
+
+  /**
+   * Dry run for /__proxy/headers: the headers the upstream and the client
+   * would get for a sample request and upstream response. Nothing is sent;
+   * auth, rate limits, the route's credential and cookie jars are skipped.
+   * Returns null when no route matches.
+   */
+  function previewHeaders(req, upstreamHeaders = {}, identity = null) {
+    const route = matchRoute(new URL(req.url));
+    if (!route) return null;
+    const ctx = createContext();
+    const upstreamUrl = buildUpstreamUrl(route, req.url);
+    ctx.upstreamUrl = upstreamUrl;
+    const vars = headerVars(req, route, upstreamUrl, identity);
+    const upstreamRes = new Response(null, { status: 200, headers: upstreamHeaders });
+    const res = toClient(req, route, upstreamRes, ctx, { jarUser: null, limitHeaders: {}, vars });
+    return {
+      route: route.name,
+      upstreamUrl,
+      credential: route.credential || null, // injected for real requests, not shown here
+      request: [...buildRequestHeaders(req, route, identity, "", vars)],
+      response: [...res.headers],
+    };
+  }
+
+  return { handle, router, admit: admitRequest, record, previewHeaders };
+}
@@ -0,0 +1,90 @@
+// lib/proxy/cors.js — CORS policy for proxied routes
+//
+// A route's policy comes from the top-level `cors` in proxy.config.mjs merged
+// with its own `cors` (see normalizeCors in config.js). Origins are matched
+// exactly, by wildcard ("https://*.example.com") or with "*" for any origin.
+// Cross-origin responses to an origin that isn't allowed carry no CORS
+// headers (the browser then blocks them); preflights from one get a 403.
+// Routes with `cors: false` leave CORS, preflights included, to the upstream.
+
+import { appendVary } from "./headers.js";
+
+function escapeRe(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "https://*.example.com" -> /^https:\/\/[^/]+\.example\.com$/
+function originPattern(pattern) {
+  return new RegExp(`^${escapeRe(pattern.toLowerCase()).replace(/\*/g, "[^/]+")}$`);
+}
+
+export function originAllowed(policy, origin) {
+  if (!origin) return false;
+  const o = origin.toLowerCase();
+  return policy.origins.some((p) => p === "*" || originPattern(p).test(o));
+}
+
+// A CORS preflight, as opposed to a plain OPTIONS request for the upstream
+export function isPreflight(req) {
+  return (
+    req.method === "OPTIONS" &&
+    req.headers.has("origin") &&
+    req.headers.has("access-control-request-method")
+  );
+}
+
+function allowOrigin(policy, origin) {
+  // "*" can't be combined with credentials, so the origin is echoed instead
+  return policy.origins.includes("*") && !policy.credentials ? "*" : origin;
+}
+
+// An actual (non-preflight) response: the upstream's own CORS headers are
+// replaced by the policy's, so it can't grant more than the config does
+export function applyCors(headers, req, policy) {
+  for (const k of [...headers.keys()]) {
+    if (k.startsWith("access-control-")) headers.delete(k);
+  }
+  appendVary(headers, "Origin");
+  const origin = req.headers.get("origin");
+  if (!originAllowed(policy, origin)) return headers;
+  headers.set("access-control-allow-origin", allowOrigin(policy, origin));
+  if (policy.credentials) headers.set("access-control-allow-credentials", "true");
+  if (policy.exposeHeaders.length) {
+    headers.set("access-control-expose-headers", policy.exposeHeaders.join(", "));
+  }
+  return headers;
+}
+
+// 204 with the grant, or 403 saying what was refused
+export function preflightResponse(req, policy) {
+  const origin = req.headers.get("origin");
+  const method = req.headers.get("access-control-request-method").toUpperCase();
+  const requested = (req.headers.get("access-control-request-headers") || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+
+  const deny = (why) =>
+    new Response(`CORS preflight rejected: ${why}`, {
+      status: 403,
+      headers: { "content-type": "text/plain; charset=utf-8", vary: "Origin" },
+    });
+
+  if (!originAllowed(policy, origin)) return deny(`origin ${origin} is not allowed`);
+  if (!policy.methods.includes(method)) return deny(`method ${method} is not allowed`);
+  const anyHeader = policy.headers.includes("*");
+  const refused = requested.filter((h) => !anyHeader && !policy.headers.includes(h));
+  if (refused.length) return deny(`header(s) ${refused.join(", ")} not allowed`);
+
+  const headers = {
+    "access-control-allow-origin": allowOrigin(policy, origin),
+    "access-control-allow-methods": policy.methods.join(", "),
+    "access-control-max-age": String(policy.maxAge),
+    vary: "Origin, Access-Control-Request-Method, Access-Control-Request-Headers",
+  };
+  if (requested.length) {
+    headers["access-control-allow-headers"] = anyHeader ? requested.join(", ") : policy.headers.join(", ");
+  }
+  if (policy.credentials) headers["access-control-allow-credentials"] = "true";
+  return new Response(null, { status: 204, headers });
+}
@@ -0,0 +1,155 @@
+// lib/proxy/egress.js — which network addresses the proxy may connect to
+//
+// Upstreams, and every redirect hop, must not land on the proxy's own network:
+// loopback, link-local (cloud metadata at 169.254.169.254 included), private
+// (RFC 1918, unique-local IPv6) and similar ranges are blocked unless listed
+// in the top-level `egress.allow`. Here only URLs are checked (literal IPs
+// and localhost names), which works in every runtime; the Node transport
+// also checks the addresses a hostname resolves to (node/egress.js).
+
+// [first address, prefix length, what it is]
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8, "this network"],
+  ["10.0.0.0", 8, "private"],
+  ["100.64.0.0", 10, "shared (CGNAT)"],
+  ["127.0.0.0", 8, "loopback"],
+  ["169.254.0.0", 16, "link-local"],
+  ["172.16.0.0", 12, "private"],
+  ["192.168.0.0", 16, "private"],
+  ["224.0.0.0", 4, "multicast"],
+  ["240.0.0.0", 4, "reserved"],
+];
+const BLOCKED_V6 = [
+  ["::", 128, "unspecified"],
+  ["::1", 128, "loopback"],
+  ["fc00::", 7, "unique-local"],
+  ["fe80::", 10, "link-local"],
+  ["ff00::", 8, "multicast"],
+];
+
+export function egressError(message) {
+  const err = new Error(message);
+  err.name = "EgressBlockedError";
+  err.permanent = true; // see retry.js
+  return err;
+}
+
+export function isEgressBlocked(err) {
+  return err?.name === "EgressBlockedError" || err?.cause?.name === "EgressBlockedError";
+}
+
+function parseV4(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) < 256)) return null;
+  return parts.map(Number);
+}
+
+// "::ffff:10.0.0.1" -> 16 bytes, or null
+function parseV6(ip) {
+  let text = ip.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!text.includes(":")) return null;
+  // A trailing dotted quad is the last two groups
+  const quad = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (quad) {
+    const b = parseV4(quad[2]);
+    if (!b) return null;
+    text = `${quad[1]}${((b[0] << 8) | b[1]).toString(16)}:${((b[2] << 8) | b[3]).toString(16)}`;
+  }
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const groups = (s) => (s ? s.split(":") : []);
+  const left = groups(halves[0]);
+  const right = halves.length === 2 ? groups(halves[1]) : [];
+  const fill = 8 - left.length - right.length;
+  if (halves.length === 2 ? fill < 0 : fill !== 0) return null;
+  const words = [...left, ...Array(halves.length === 2 ? fill : 0).fill("0"), ...right];
+  if (!words.every((w) => /^[0-9a-f]{1,4}$/.test(w))) return null;
+  return words.flatMap((w) => [parseInt(w, 16) >> 8, parseInt(w, 16) & 0xff]);
+}
+
+// { version, bytes } for an IP literal, or null for a hostname
+export function parseIp(host) {
+  const v4 = parseV4(host);
+  if (v4) return { version: 4, bytes: v4 };
+  const v6 = parseV6(host);
+  return v6 ? { version: 6, bytes: v6 } : null;
+}
+
+function inRange(bytes, base, bits) {
+  for (let i = 0; i < bytes.length && bits > 0; i++, bits -= 8) {
+    const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+    if ((bytes[i] & mask) !== (base[i] & mask)) return false;
+  }
+  return true;
+}
+
+// Why `ip` is off limits ("loopback", ...), or null
+export function blockedRange(ip) {
+  const parsed = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!parsed) return null;
+  let { version, bytes } = parsed;
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d) is the IPv4 address
+  if (version === 6 && bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    version = 4;
+    bytes = bytes.slice(12);
+  }
+  const table = version === 4 ? BLOCKED_V4 : BLOCKED_V6;
+  const hit = table.find(([base, bits]) => inRange(bytes, parseIp(base).bytes, bits));
+  return hit ? hit[2] : null;
+}
+
+// "10.1.0.0/16", "fd00::/8", "10.0.0.5" -> matcher; null for host patterns
+function cidrMatcher(entry) {
+  const [addr, bits] = entry.split("/");
+  const parsed = parseIp(addr);
+  if (!parsed) return null;
+  const len = bits === undefined ? parsed.bytes.length * 8 : Number(bits);
+  return (ip) => ip.version === parsed.version && inRange(ip.bytes, parsed.bytes, len);
+}
+
+function hostMatches(pattern, hostname) {
+  if (pattern.startsWith("*.")) return hostname.endsWith(pattern.slice(1));
+  return pattern === hostname;
+}
+
+/**
+ * createEgressPolicy({ allowPrivate, allow }) → { checkUrl, checkAddress, needsLookup }.
+ * The checks return null when the connection may go ahead, otherwise the reason.
+ */
+export function createEgressPolicy({ allowPrivate = false, allow = [] } = {}) {
+  const cidrs = allow.map(cidrMatcher).filter(Boolean);
+  const hosts = allow.filter((a) => !cidrMatcher(a)).map((h) => h.toLowerCase());
+
+  function allowedHost(hostname) {
+    return hosts.some((p) => hostMatches(p, hostname));
+  }
+
+  function checkAddress(hostname, address) {
+    if (allowPrivate || allowedHost(hostname)) return null;
+    const ip = parseIp(address);
+    if (!ip || cidrs.some((m) => m(ip))) return null;
+    const range = blockedRange(ip);
+    if (!range) return null;
+    return hostname === address
+      ? `${address} is a ${range} address`
+      : `${hostname} resolves to a ${range} address (${address})`;
+  }
+
+  function checkUrl(target) {
+    const url = target instanceof URL ? target : new URL(target);
+    if (!["http:", "https:", "ws:", "wss:"].includes(url.protocol)) return `${url.protocol} URLs are not allowed`;
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (allowPrivate || allowedHost(hostname)) return null;
+    if (hostname === "localhost" || hostname.endsWith(".localhost")) return `${hostname} is loopback`;
+    return checkAddress(hostname, hostname);
+  }
+
+  // Whether `target` can only be vetted by the addresses its hostname resolves to
+  function needsLookup(target) {
+    const url = target instanceof URL ? target : new URL(target);
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    return !allowPrivate && !allowedHost(hostname) && !parseIp(hostname);
+  }
+
+  return { checkUrl, checkAddress, needsLookup };
+}
@@ -0,0 +1,103 @@
+// lib/proxy/encoding.js — Content-Encoding between the upstream and the client
+//
+// Upstream bodies stay encoded when the client accepts their encoding and the
+// proxy doesn't need to read them; otherwise they are decoded. Uncompressed
+// bodies are compressed for the client per the route's `compression` policy
+// (Accept-Encoding, minimum size, MIME allowlist). Codecs are pluggable: the
+// Web ones here cover gzip and deflate, node/codecs.js adds br.
+
+// Looked up at runtime: not every Edge runtime has them, and without codecs
+// responses simply go out uncompressed
+const { CompressionStream: Compress, DecompressionStream: Decompress } = globalThis;
+
+export const webCodecs =
+  Compress && Decompress
+    ? {
+        gzip: {
+          encode: (body) => body.pipeThrough(new Compress("gzip")),
+          decode: (body) => body.pipeThrough(new Decompress("gzip")),
+        },
+        deflate: {
+          encode: (body) => body.pipeThrough(new Compress("deflate")),
+          decode: (body) => body.pipeThrough(new Decompress("deflate")),
+        },
+      }
+    : {};
+
+// "gzip;q=0.5, br" -> Map { gzip => 0.5, br => 1 }
+function parseAccept(header) {
+  const out = new Map();
+  for (const part of (header || "").split(",")) {
+    const [token, ...params] = part.trim().toLowerCase().split(";");
+    if (!token) continue;
+    const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+    out.set(token.trim(), q ? Number(q[1]) : 1);
+  }
+  return out;
+}
+
+function quality(accepted, encoding) {
+  return accepted.get(encoding) ?? accepted.get("*") ?? 0;
+}
+
+// Which of `available` (in our order of preference) the client accepts
+export function acceptedEncodings(header, available) {
+  const accepted = parseAccept(header);
+  return available.filter((e) => quality(accepted, e) > 0);
+}
+
+// The client's favourite among `available`; ties go to the earlier one
+export function negotiate(header, available) {
+  const accepted = parseAccept(header);
+  let best = null;
+  for (const e of available) {
+    const q = quality(accepted, e);
+    if (q > 0 && (!best || q > best.q)) best = { e, q };
+  }
+  return best?.e ?? null;
+}
+
+// "gzip" / "br, gzip" -> ["gzip"] / ["br", "gzip"]; [] for identity
+export function contentCodings(headers) {
+  return (headers.get("content-encoding") || "")
+    .split(",")
+    .map((c) => c.trim().toLowerCase())
+    .filter((c) => c && c !== "identity");
+}
+
+/**
+ * The body decoded (codings are undone last-applied first), or `res` itself
+ * when it isn't encoded or uses a coding without a codec.
+ */
+export function decodeResponse(res, codecs) {
+  const codings = contentCodings(res.headers);
+  if (!codings.length || !res.body || !codings.every((c) => codecs[c])) return res;
+  let body = res.body;
+  for (const c of [...codings].reverse()) body = codecs[c].decode(body);
+  const headers = new Headers(res.headers);
+  headers.delete("content-encoding");
+  headers.delete("content-length");
+  return new Response(body, { status: res.status, statusText: res.statusText, headers });
+}
+
+// "text/*" matches "text/html; charset=utf-8"
+function typeAllowed(types, contentType) {
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  return types.some((t) => (t.endsWith("/*") ? type.startsWith(t.slice(0, -1)) : t === type));
+}
+
+/**
+ * Whether an unencoded response may be compressed under `policy`, whatever
+ * the client accepts (then it also varies by Accept-Encoding). `length` is the
+ * body size when known; unknown lengths are compressed.
+ */
+export function compressible(req, res, policy, length = null) {
+  if (!policy || !res.body || req.method === "HEAD") return false;
+  if (res.status === 206 || res.headers.has("content-range")) return false;
+  if (/\bno-transform\b/i.test(res.headers.get("cache-control") || "")) return false;
+  const contentType = res.headers.get("content-type") || "";
+  // Event streams are never compressed: the compressor would hold events back
+  if (!contentType || contentType.includes("text/event-stream")) return false;
+  if (!typeAllowed(policy.types, contentType)) return false;
+  return length === null || length >= policy.minBytes;
+}
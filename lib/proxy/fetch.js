@@ -0,0 +1,124 @@
+// lib/proxy/fetch.js — upstream fetch with manual redirect following
+
+import { anySignal, deadline } from "./signals.js";
+
+// fetch() decodes gzip/br/deflate bodies but keeps the upstream's
+// Content-Encoding and Content-Length; drop them so they describe the body we get.
+// (node/transport.js is the alternative that leaves bodies encoded.)
+export async function decodedFetch(url, init) {
+  const res = await fetch(url, init);
+  if (!res.headers.has("content-encoding")) return res;
+  const headers = new Headers(res.headers);
+  headers.delete("content-encoding");
+  headers.delete("content-length");
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
+
+const REDIRECT_STATUS = new Set([301, 302, 303, 307, 308]);
+
+// Describe the body, which a method change drops
+const CONTENT_HEADERS = ["content-type", "content-length", "content-encoding", "content-language", "content-location"];
+
+// Never sent to another origin than the one they were meant for
+const ORIGIN_BOUND_HEADERS = ["authorization", "cookie", "proxy-authorization"];
+
+/**
+ * The request for the next hop of a redirect (per the Fetch standard), or
+ * null when it can't be followed: the request body has been streamed
+ * upstream already, so a redirect that must resend it (307/308, or 301/302
+ * of anything but a POST) goes back to the client instead.
+ */
+export function redirectInit(status, init, from, to) {
+  const next = { ...init, headers: new Headers(init.headers) };
+  const method = init.method || "GET";
+  const toGet = (status === 303 && method !== "HEAD") || ([301, 302].includes(status) && method === "POST");
+  if (toGet) {
+    next.method = "GET";
+    delete next.body;
+    delete next.duplex;
+    for (const h of CONTENT_HEADERS) next.headers.delete(h);
+  } else if (init.body) {
+    return null;
+  }
+  if (new URL(from).origin !== new URL(to).origin) {
+    for (const h of ORIGIN_BOUND_HEADERS) next.headers.delete(h);
+  }
+  return next;
+}
+
+function redirectError(message) {
+  return new Response(message, {
+    status: 508,
+    statusText: "Loop Detected",
+    headers: { "content-type": "text/plain; charset=utf-8" },
+  });
+}
+
+// Follow 30x manually to handle tunnel/CDN/CF redirects, up to `maxRedirects`.
+// hooks.beforeHop(url, init) may return a new init for that hop (e.g. cookies
+// for the new URL); hooks.afterHop(url, res) sees every response, including
+// the redirects themselves (e.g. to capture their Set-Cookie);
+// hooks.redirected(from, to, status) is told about every hop actually taken.
+// Options:
+//   connectTimeout  bounds each hop until its response headers arrive
+//   fetch           the transport (decodedFetch unless the runtime provides another)
+//   canFollow(from, to)  false hands that redirect to the caller (e.g. another host)
+// A redirect loop, or more than `maxRedirects` hops, ends in a 508.
+export async function fetchFollow(
+  url,
+  init,
+  maxRedirects = 5,
+  hooks = {},
+  { connectTimeout, fetch: transport = decodedFetch, canFollow = () => true } = {}
+) {
+  let current = url;
+  let currentInit = init;
+  const seen = new Set([`${init.method || "GET"} ${url}`]);
+  for (let hops = 0; ; hops++) {
+    const hopInit = (await hooks.beforeHop?.(current, currentInit)) || currentInit;
+    const hop = connectTimeout
+      ? deadline(connectTimeout, `Upstream did not respond within ${connectTimeout}ms`)
+      : null;
+    let res;
+    try {
+      res = await transport(current, {
+        ...hopInit,
+        signal: hop ? anySignal([hopInit.signal, hop.signal]) : hopInit.signal,
+        redirect: "manual",
+        // cache hints to avoid edge/tunnel caching oddities
+        cache: "no-store",
+      });
+    } finally {
+      hop?.clear();
+    }
+    await hooks.afterHop?.(current, res);
+
+    const location = REDIRECT_STATUS.has(res.status) && res.headers.get("location");
+    if (!location) return res;
+    let next;
+    try {
+      next = new URL(location, current).toString();
+    } catch {
+      return res; // unparseable: the client gets to try
+    }
+    const nextInit = /^https?:$/.test(new URL(next).protocol)
+      ? redirectInit(res.status, currentInit, current, next)
+      : null;
+    if (!nextInit || !canFollow(current, next)) return res;
+
+    const key = `${nextInit.method || "GET"} ${next}`;
+    if (seen.has(key) || hops >= maxRedirects) {
+      await res.body?.cancel().catch(() => {});
+      return redirectError(
+        seen.has(key)
+          ? `Redirect loop detected at ${next}`
+          : `Too many redirects from upstream (more than ${maxRedirects})`
+      );
+    }
+    await res.body?.cancel().catch(() => {});
+    await hooks.redirected?.(current, next, res.status);
+    seen.add(key);
+    current = next;
+    currentInit = nextInit;
+  }
+}
@@ -0,0 +1,370 @@
+// lib/proxy/har.js — HAR 1.2 recording of upstream exchanges, and replay
+//
+// Recording wraps the upstream transport: every hop fetchFollow() makes (each
+// redirect and retry included) becomes one HAR entry with the request exactly
+// as sent upstream and the response exactly as received, bodies up to
+// `maxBodyBytes`. Entries are sanitized before they reach a sink: cookie and
+// Set-Cookie values, Authorization, the audit.redact headers and JSON body
+// fields, and every stored upstream credential (redact.js) are masked.
+//
+// Replay is a transport too: createReplayer(har).fetch answers from the
+// recorded entries instead of the network, so redirects, cookie jars, CORS,
+// header policies and rewriting run exactly as they do live. The file side
+// (writing .har files, loading one to replay) is in node/har-file.js.
+
+import { decodeResponse } from "./encoding.js";
+import { redact } from "./redact.js";
+
+export const HAR_CREATOR = { name: "next-proxy", version: "1.0" };
+
+const REDACTED = "[redacted]";
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+
+// Bodies stored as text in the HAR; anything else is base64
+const TEXT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|event-stream/i;
+
+export function emptyHar(entries = []) {
+  return { log: { version: "1.2", creator: HAR_CREATOR, pages: [], entries } };
+}
+
+// "a=1; b=2" -> "a=[redacted]; b=[redacted]"; names stay for debugging
+function maskCookie(value) {
+  return value
+    .split(";")
+    .map((part) => {
+      const eq = part.indexOf("=");
+      return eq === -1 ? part.trim() : `${part.slice(0, eq).trim()}=${REDACTED}`;
+    })
+    .filter(Boolean)
+    .join("; ");
+}
+
+// "sid=abc; Path=/; HttpOnly" -> "sid=[redacted]; Path=/; HttpOnly"
+function maskSetCookie(value) {
+  const semi = value.indexOf(";");
+  const pair = semi === -1 ? value : value.slice(0, semi);
+  return maskCookie(pair) + (semi === -1 ? "" : value.slice(semi));
+}
+
+function sanitizeHeader(name, value, hidden) {
+  if (name === "cookie") return maskCookie(value);
+  if (name === "set-cookie") return maskSetCookie(value);
+  if (name === "authorization" || name === "proxy-authorization") {
+    const scheme = value.split(/\s+/)[0];
+    return scheme && scheme !== value ? `${scheme} ${REDACTED}` : REDACTED;
+  }
+  if (hidden.has(name)) return REDACTED;
+  return redact(value);
+}
+
+function harHeaders(headers, hidden) {
+  const out = [];
+  for (const [name, value] of headers) {
+    out.push({ name, value: sanitizeHeader(name, value, hidden) });
+  }
+  return out;
+}
+
+function harCookies(headers, name) {
+  const values = name === "cookie" ? [headers.get("cookie") || ""] : headers.getSetCookie?.() || [];
+  const out = [];
+  for (const value of values) {
+    const pairs = name === "cookie" ? value.split(";") : [value.split(";")[0]];
+    for (const pair of pairs) {
+      const eq = pair.indexOf("=");
+      if (eq > 0) out.push({ name: pair.slice(0, eq).trim(), value: REDACTED });
+    }
+  }
+  return out;
+}
+
+// Masks the configured fields anywhere in a JSON body; other text is only redact()ed
+function sanitizeText(text, bodyFields) {
+  const out = redact(text);
+  if (!bodyFields.size) return out;
+  try {
+    const walk = (v) => {
+      if (Array.isArray(v)) return v.map(walk);
+      if (v && typeof v === "object") {
+        return Object.fromEntries(
+          Object.entries(v).map(([k, x]) => [k, bodyFields.has(k.toLowerCase()) ? REDACTED : walk(x)])
+        );
+      }
+      return v;
+    };
+    return JSON.stringify(walk(JSON.parse(out)));
+  } catch {
+    return out; // not JSON
+  }
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+// { text } or { text, encoding: "base64" } for a captured body
+function harText(bytes, mimeType, bodyFields) {
+  if (TEXT_TYPE.test(mimeType)) {
+    return { text: sanitizeText(new TextDecoder().decode(bytes), bodyFields) };
+  }
+  return { text: toBase64(bytes), encoding: "base64" };
+}
+
+function concat(chunks, size) {
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.byteLength;
+  }
+  return out;
+}
+
+/**
+ * Passes a body through unchanged, keeping a copy of its first `limit` bytes.
+ * done({ bytes, data, complete }) is called once the body ends or is
+ * cancelled; `data` is null when more than `limit` bytes went by.
+ */
+export function captureStream(limit, done) {
+  const chunks = [];
+  let bytes = 0;
+  let finished = false;
+  const finish = (complete) => {
+    if (finished) return;
+    finished = true;
+    done({ bytes, data: bytes <= limit ? concat(chunks, bytes) : null, complete });
+  };
+  return new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      if (bytes <= limit) chunks.push(chunk);
+      else chunks.length = 0;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      finish(true);
+    },
+    cancel() {
+      finish(false);
+    },
+  });
+}
+
+// The request body's capture if it has ended (an upstream may answer before
+// reading all of it), otherwise null
+function settled(promise) {
+  return Promise.race([promise, Promise.resolve(null)]);
+}
+
+/**
+ * An upstream transport that records every exchange it carries.
+ *
+ *   transport     the transport to wrap (node/transport.js or decodedFetch)
+ *   policy        { maxBodyBytes } from the `har` config
+ *   redactPolicy  audit.redact: extra `headers` and JSON `bodyFields` to mask
+ *   codecs        to store encoded upstream bodies decoded, as HAR expects
+ *   onEntry(entry) receives each sanitized entry once its response has ended
+ */
+export function recordingFetch(transport, { policy, redactPolicy, codecs, onEntry }) {
+  const hidden = new Set(redactPolicy.headers);
+  const bodyFields = new Set(redactPolicy.bodyFields.map((f) => f.toLowerCase()));
+
+  function request(url, init, requestHeaders, body) {
+    const safeUrl = redact(url);
+    const out = {
+      method: (init.method || "GET").toUpperCase(),
+      url: safeUrl,
+      httpVersion: "HTTP/1.1",
+      cookies: harCookies(requestHeaders, "cookie"),
+      headers: harHeaders(requestHeaders, hidden),
+      queryString: [...new URL(safeUrl).searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: init.body ? (body?.bytes ?? -1) : 0,
+    };
+    if (init.body) {
+      const mimeType = requestHeaders.get("content-type") || "application/octet-stream";
+      const missing = !body ? "not sent in full" : !body.data ? `over ${policy.maxBodyBytes} bytes` : null;
+      out.postData = missing
+        ? { mimeType, text: "", comment: `body not recorded: ${missing}` }
+        : { mimeType, ...harText(body.data, mimeType, bodyFields) };
+    }
+    return out;
+  }
+
+  async function content(res, captured) {
+    const mimeType = res.headers.get("content-type") || "";
+    const base = { size: captured.bytes, mimeType };
+    if (!captured.data) {
+      return { ...base, comment: `body not recorded: over ${policy.maxBodyBytes} bytes` };
+    }
+    // HAR keeps the body decoded; the headers still say how it travelled
+    let bytes = captured.data;
+    if (res.headers.has("content-encoding") && captured.complete) {
+      const encoded = new Response(bytes, { headers: res.headers });
+      const decoded = decodeResponse(encoded, codecs);
+      if (decoded !== encoded) {
+        try {
+          bytes = new Uint8Array(await decoded.arrayBuffer());
+        } catch {
+          return { ...base, comment: "body not recorded: could not be decoded" };
+        }
+      }
+    }
+    const out = { ...base, size: bytes.byteLength, ...harText(bytes, mimeType, bodyFields) };
+    if (bytes !== captured.data) out.compression = bytes.byteLength - captured.bytes;
+    if (!captured.complete) out.comment = "body not read to the end";
+    return out;
+  }
+
+  function response(res, body) {
+    const location = res.headers.get("location");
+    return {
+      status: res.status,
+      statusText: res.statusText,
+      httpVersion: "HTTP/1.1",
+      cookies: harCookies(res.headers, "set-cookie"),
+      headers: harHeaders(res.headers, hidden),
+      content: body,
+      redirectURL: location ? redact(location) : "",
+      headersSize: -1,
+      bodySize: body.size ?? -1,
+    };
+  }
+
+  return async (url, init = {}) => {
+    const startedDateTime = new Date().toISOString();
+    const started = Date.now();
+    const requestHeaders = new Headers(init.headers);
+    let sent = Promise.resolve(null);
+    if (init.body) {
+      let captured;
+      sent = new Promise((resolve) => (captured = resolve));
+      init = { ...init, body: init.body.pipeThrough(captureStream(policy.maxBodyBytes, captured)) };
+    }
+
+    const entry = (req, res, wait, extra = {}) => ({
+      startedDateTime,
+      time: Date.now() - started,
+      request: req,
+      response: res,
+      cache: {},
+      timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait, receive: Date.now() - started - wait },
+      ...extra,
+    });
+
+    let res;
+    try {
+      res = await transport(url, init);
+    } catch (err) {
+      // Recorded as status 0, like browsers do; replay throws the same error
+      const failed = {
+        status: 0,
+        statusText: "",
+        httpVersion: "",
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: "" },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: -1,
+      };
+      onEntry(
+        entry(request(url, init, requestHeaders, await settled(sent)), failed, Date.now() - started, {
+          _error: { name: err?.name || "Error", message: redact(err?.message || err) },
+        })
+      );
+      throw err;
+    }
+    const wait = Date.now() - started;
+
+    const finish = async (captured) => {
+      const body = await content(res, captured);
+      onEntry(entry(request(url, init, requestHeaders, await settled(sent)), response(res, body), wait));
+    };
+    if (!res.body) {
+      finish({ bytes: 0, data: new Uint8Array(0), complete: true }).catch(() => {});
+      return res;
+    }
+    const recorded = res.body.pipeThrough(
+      captureStream(policy.maxBodyBytes, (captured) => finish(captured).catch(() => {}))
+    );
+    return new Response(recorded, { status: res.status, statusText: res.statusText, headers: res.headers });
+  };
+}
+
+function replayError(name, message) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+export function isReplayMiss(err) {
+  return err?.name === "ReplayMissError";
+}
+
+function responseFor(entry, method) {
+  const { status, statusText, headers, content } = entry.response;
+  const out = new Headers();
+  for (const { name, value } of headers) {
+    const k = name.toLowerCase();
+    // The stored body is decoded, and its length may differ from the original
+    if (k === "content-encoding" || k === "content-length") continue;
+    out.append(name, value);
+  }
+  let body = null;
+  if (method !== "HEAD" && !NULL_BODY_STATUS.has(status) && content?.text) {
+    body = content.encoding === "base64" ? fromBase64(content.text) : content.text;
+  }
+  return new Response(body, { status, statusText, headers: out });
+}
+
+/**
+ * Serves upstream requests from a HAR, matched by method and URL. `source` is
+ * the HAR or a function loading it (called on first use, again after a
+ * failure). Several entries for the same request are served in recorded
+ * order, the last one again once they run out. A request nobody recorded
+ * fails with a ReplayMissError; recorded network errors are thrown again.
+ */
+export function createReplayer(source) {
+  let index = null;
+
+  async function load() {
+    if (index) return index;
+    const har = typeof source === "function" ? await source() : source;
+    const built = new Map(); // "GET https://..." -> { entries, next }
+    for (const entry of har?.log?.entries || []) {
+      const key = `${entry.request.method.toUpperCase()} ${entry.request.url}`;
+      if (!built.has(key)) built.set(key, { entries: [], next: 0 });
+      built.get(key).entries.push(entry);
+    }
+    return (index = built);
+  }
+
+  async function replayFetch(url, init = {}) {
+    const method = (init.method || "GET").toUpperCase();
+    await init.body?.cancel().catch(() => {});
+    if (init.signal?.aborted) throw init.signal.reason;
+    const entries = await load();
+    // Recorded URLs had credentials redacted
+    const slot = entries.get(`${method} ${url}`) || entries.get(`${method} ${redact(url)}`);
+    if (!slot) throw replayError("ReplayMissError", `No recorded response for ${method} ${redact(url)}`);
+    const entry = slot.entries[Math.min(slot.next++, slot.entries.length - 1)];
+    if (entry._error) throw replayError(entry._error.name, entry._error.message);
+    return responseFor(entry, method);
+  }
+
+  return {
+    fetch: replayFetch,
+    async size() {
+      return [...(await load()).values()].reduce((n, s) => n + s.entries.length, 0);
+    },
+  };
+}
@@ -0,0 +1,117 @@
+// lib/proxy/headers.js — request/response header copying shared by every runtime
+
+import { getSetCookies } from "./cookies.js";
+
+// Hop-by-hop headers (never forward)
+export const HOP_BY_HOP = new Set([
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+]);
+
+// Noisy/sensitive upstream headers we never hand back to the browser
+const STRIP_RESPONSE = new Set([
+  "content-security-policy-report-only",
+  "report-to",
+  "nel",
+  "server",
+  "alt-svc",
+]);
+
+export const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+
+export function copyRequestHeaders(req, override = {}) {
+  const out = new Headers();
+  req.headers.forEach((value, key) => {
+    const k = key.toLowerCase();
+    if (HOP_BY_HOP.has(k)) return;
+    if (k === "host") return;
+    if (k === "content-length") return; // edge may not know exact length
+    if (k === "accept-encoding") return; // let fetch negotiate what it can decode
+    out.set(k, value);
+  });
+  if (!out.has("user-agent")) out.set("user-agent", DEFAULT_USER_AGENT);
+  for (const [k, v] of Object.entries(override)) out.set(k.toLowerCase(), v);
+  return out;
+}
+
+export function copyResponseHeaders(src, extra = {}) {
+  const out = new Headers();
+  src.headers.forEach((value, key) => {
+    const k = key.toLowerCase();
+    if (HOP_BY_HOP.has(k)) return;
+    if (STRIP_RESPONSE.has(k)) return;
+    if (k === "content-length") return; // avoid mismatches when streaming
+    if (k === "set-cookie") return; // handled by the cookie policy
+    out.set(k, value);
+  });
+  for (const [k, v] of Object.entries(extra)) out.set(k.toLowerCase(), v);
+  return out;
+}
+
+// Adds `name` to Vary unless it is already covered
+export function appendVary(headers, name) {
+  const vary = headers.get("vary");
+  if (!vary) headers.set("vary", name);
+  else if (vary !== "*" && !vary.toLowerCase().split(/\s*,\s*/).includes(name.toLowerCase())) {
+    headers.set("vary", `${vary}, ${name}`);
+  }
+}
+
+// Variables available to `${...}` templates in header policy values
+export const HEADER_VARS = [
+  "upstream.origin",
+  "upstream.host",
+  "upstream.url",
+  "proxy.origin",
+  "proxy.host",
+  "request.method",
+  "request.path",
+  "route.name",
+  "user.name",
+];
+
+const TEMPLATE = /\$\{([^}]*)\}/g;
+
+// Template variables a value refers to (for validating the config)
+export function templateVars(value) {
+  return [...value.matchAll(TEMPLATE)].map((m) => m[1].trim());
+}
+
+export function expandTemplate(value, vars) {
+  return value.replace(TEMPLATE, (_, name) => vars[name.trim()] ?? "");
+}
+
+// "x-debug-*" matches every header starting with "x-debug-"
+function nameMatches(patterns, name) {
+  return patterns.some((p) => (p.endsWith("*") ? name.startsWith(p.slice(0, -1)) : p === name));
+}
+
+/**
+ * Applies a normalized header policy (see normalizeHeaderPolicy in config.js)
+ * in a fixed order: rename, deny, allow, set, append. Headers added by `set`
+ * and `append` are never filtered by `allow`/`deny`.
+ */
+export function applyHeaderPolicy(headers, policy, vars = {}) {
+  if (!policy) return headers;
+  for (const [from, to] of Object.entries(policy.rename)) {
+    if (!headers.has(from)) continue;
+    const values = from === "set-cookie" ? getSetCookies(headers) : [headers.get(from)];
+    headers.delete(from);
+    for (const v of values) headers.append(to, v);
+  }
+  for (const k of [...new Set(headers.keys())]) {
+    if (nameMatches(policy.deny, k) || (policy.allow && !nameMatches(policy.allow, k))) {
+      headers.delete(k);
+    }
+  }
+  for (const [k, v] of Object.entries(policy.set)) headers.set(k, expandTemplate(v, vars));
+  for (const [k, v] of Object.entries(policy.append)) headers.append(k, expandTemplate(v, vars));
+  return headers;
+}
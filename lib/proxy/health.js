@@ -0,0 +1,95 @@
+// lib/proxy/health.js — upstream reachability probes
+
+// Any answer below 500 means the upstream is up (401/403/404 included)
+export async function probeUpstream(origin, { timeout = 5000, path = "/" } = {}) {
+  const started = Date.now();
+  const checkedAt = new Date(started).toISOString();
+  try {
+    const res = await fetch(new URL(path, origin), {
+      method: "HEAD",
+      redirect: "manual",
+      cache: "no-store",
+      signal: AbortSignal.timeout(timeout),
+    });
+    return {
+      ok: res.status < 500,
+      status: res.status,
+      latencyMs: Date.now() - started,
+      checkedAt,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      status: null,
+      latencyMs: Date.now() - started,
+      error: err?.name === "TimeoutError" ? `timed out after ${timeout}ms` : err?.message || String(err),
+      checkedAt,
+    };
+  }
+}
+
+/**
+ * Probes every configured upstream every `policy.interval` ms once started.
+ * A passing probe moves an open breaker to half-open, so traffic resumes as
+ * soon as the upstream is back instead of after the full `openMs`.
+ */
+export function createHealthChecker({ routes, policy, breakers }) {
+  const targets = [];
+  for (const route of routes) {
+    let target = targets.find((t) => t.upstream === route.upstream);
+    if (!target) {
+      target = { upstream: route.upstream, path: route.healthPath, routes: [] };
+      targets.push(target);
+    }
+    target.routes.push(route.name);
+  }
+
+  const results = new Map();
+  let timer = null;
+  let running = null;
+
+  async function checkNow() {
+    running ??= Promise.all(
+      targets.map(async (t) => {
+        const result = await probeUpstream(t.upstream, { timeout: policy.timeout, path: t.path });
+        results.set(t.upstream, result);
+        if (result.ok) breakers?.get(t.upstream).probeSucceeded();
+      })
+    ).finally(() => {
+      running = null;
+    });
+    await running;
+    return status();
+  }
+
+  // Idempotent; call it from request handlers rather than at import time so
+  // `next build` doesn't start probing
+  function start() {
+    if (timer || !policy.enabled || !targets.length) return;
+    timer = setInterval(() => checkNow().catch(() => {}), policy.interval);
+    timer.unref?.();
+    checkNow().catch(() => {});
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // "ok" when everything is up, "degraded" when some upstreams are not, "down" when none are
+  function status() {
+    const upstreams = targets.map((t) => {
+      const probe = results.get(t.upstream) ?? null;
+      const breaker = breakers?.get(t.upstream).snapshot() ?? null;
+      const healthy = (probe?.ok ?? true) && (breaker?.state ?? "closed") !== "open";
+      return { upstream: t.upstream, routes: t.routes, healthy, probe, breaker };
+    });
+    const up = upstreams.filter((u) => u.healthy).length;
+    return {
+      status: up === upstreams.length ? "ok" : up ? "degraded" : "down",
+      upstreams,
+    };
+  }
+
+  return { start, stop, checkNow, status, checked: () => results.size > 0 };
+}
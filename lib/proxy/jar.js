@@ -0,0 +1,154 @@
+// lib/proxy/jar.js — RFC 6265 cookie jar logic (storage lives in node/jars.js)
+//
+// A jar is a plain array of cookie records so it can be stored as JSON:
+//   { name, value, domain, hostOnly, path, expires, secure, httpOnly, sameSite, createdAt }
+
+const MAX_COOKIES = 300;
+const MAX_PER_DOMAIN = 50;
+
+// Default-path algorithm (RFC 6265 §5.1.4)
+function defaultPath(pathname) {
+  if (!pathname.startsWith("/")) return "/";
+  const slash = pathname.lastIndexOf("/");
+  return slash <= 0 ? "/" : pathname.slice(0, slash);
+}
+
+// Registries under which anyone can register a name. Not the full Public
+// Suffix List: single-label domains ("com", "localhost") plus the common
+// second-level ones, enough to keep one upstream from setting cookies for all
+const PUBLIC_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "com.au", "net.au", "org.au", "co.nz",
+  "co.jp", "ne.jp", "or.jp", "co.kr", "com.br", "com.cn", "com.mx", "co.in",
+  "co.za", "com.tr", "com.sg", "com.hk",
+  "github.io", "vercel.app", "netlify.app", "pages.dev", "herokuapp.com",
+]);
+
+export function isPublicSuffix(domain) {
+  return !domain.includes(".") || PUBLIC_SUFFIXES.has(domain);
+}
+
+export function domainMatches(host, domain) {
+  return host === domain || (host.endsWith("." + domain) && !/^[\d.]+$/.test(host));
+}
+
+export function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+// Parse one Set-Cookie header received from `url`; null if it must be ignored
+export function parseSetCookie(header, url, now = Date.now()) {
+  const { hostname, pathname } = url instanceof URL ? url : new URL(url);
+  const [pair, ...attrs] = header.split(";");
+  const eq = pair.indexOf("=");
+  if (eq === -1) return null;
+  const name = pair.slice(0, eq).trim();
+  const value = pair.slice(eq + 1).trim();
+  if (!name) return null;
+
+  const cookie = {
+    name,
+    value,
+    domain: hostname,
+    hostOnly: true,
+    path: defaultPath(pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    createdAt: now,
+  };
+
+  let maxAge = null;
+  for (const attr of attrs) {
+    const i = attr.indexOf("=");
+    const key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+    const val = i === -1 ? "" : attr.slice(i + 1).trim();
+    switch (key) {
+      case "domain": {
+        const domain = val.replace(/^\./, "").toLowerCase();
+        if (!domain) break;
+        // A host may only set cookies for itself or a parent domain, never for
+        // a public suffix: those stay host-only when the host is the suffix
+        // itself and are ignored otherwise (RFC 6265 §5.3 step 5)
+        if (!domainMatches(hostname, domain)) return null;
+        if (isPublicSuffix(domain)) {
+          if (domain !== hostname) return null;
+          break;
+        }
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+        break;
+      }
+      case "path":
+        if (val.startsWith("/")) cookie.path = val;
+        break;
+      case "expires": {
+        const t = Date.parse(val);
+        if (!Number.isNaN(t)) cookie.expires = t;
+        break;
+      }
+      case "max-age":
+        if (/^-?\d+$/.test(val)) maxAge = Number(val);
+        break;
+      case "secure":
+        cookie.secure = true;
+        break;
+      case "httponly":
+        cookie.httpOnly = true;
+        break;
+      case "samesite":
+        cookie.sameSite = val || null;
+        break;
+    }
+  }
+  // Max-Age wins over Expires
+  if (maxAge !== null) cookie.expires = now + maxAge * 1000;
+  return cookie;
+}
+
+const sameCookie = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path;
+
+export function pruneExpired(jar, now = Date.now()) {
+  return jar.filter((c) => c.expires === null || c.expires > now);
+}
+
+// Store the Set-Cookie headers of a response from `url`; returns the new jar
+export function putCookies(jar, setCookies, url, now = Date.now()) {
+  let next = pruneExpired(jar, now);
+  for (const header of setCookies) {
+    const cookie = parseSetCookie(header, url, now);
+    if (!cookie) continue;
+    const prev = next.find((c) => sameCookie(c, cookie));
+    next = next.filter((c) => !sameCookie(c, cookie));
+    // An expiry in the past is how servers delete cookies
+    if (cookie.expires !== null && cookie.expires <= now) continue;
+    if (prev) cookie.createdAt = prev.createdAt;
+    next.push(cookie);
+  }
+
+  // Evict the oldest cookies when over the limits
+  const byDomain = new Map();
+  next.sort((a, b) => a.createdAt - b.createdAt);
+  for (const c of next) byDomain.set(c.domain, (byDomain.get(c.domain) || 0) + 1);
+  next = next.filter((c) => {
+    if (byDomain.get(c.domain) <= MAX_PER_DOMAIN) return true;
+    byDomain.set(c.domain, byDomain.get(c.domain) - 1);
+    return false;
+  });
+  return next.slice(-MAX_COOKIES);
+}
+
+// Cookie header value for a request to `url` ("" if nothing matches)
+export function cookiesFor(jar, url, now = Date.now()) {
+  const { hostname, pathname, protocol } = url instanceof URL ? url : new URL(url);
+  return pruneExpired(jar, now)
+    .filter((c) => (c.hostOnly ? c.domain === hostname : domainMatches(hostname, c.domain)))
+    .filter((c) => pathMatches(pathname, c.path))
+    .filter((c) => !c.secure || protocol === "https:")
+    // Longer paths first, then older cookies first (RFC 6265 §5.4)
+    .sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt)
+    .map((c) => `${c.name}=${c.value}`)
+    .join("; ");
+}
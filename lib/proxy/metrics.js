@@ -0,0 +1,178 @@
+// lib/proxy/metrics.js — request metrics in the Prometheus text format
+//
+// The proxy core reports every request twice: when its response headers are
+// ready (count, latency, cache result, upstream failure, rate-limit rejection,
+// an event stream opening) and when its body has been sent (bytes, the event
+// stream closing). Series live in memory, per runtime instance; the Node
+// route handler's are served at /__proxy/metrics.
+
+// Seconds until the response headers; event streams make total durations meaningless
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const METHODS = new Set(["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]);
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isInteger(n) ? String(n) : String(Number(n.toFixed(6)));
+}
+
+// One metric family: `series` maps label values (joined) to a value or histogram state
+function family(type, name, help, labelNames, create) {
+  const series = new Map();
+  return {
+    type,
+    name,
+    help,
+    labelNames,
+    series,
+    get(values) {
+      const key = values.join("\u0000");
+      if (!series.has(key)) series.set(key, { values, ...create() });
+      return series.get(key);
+    },
+  };
+}
+
+function counter(name, help, labelNames) {
+  const f = family("counter", name, help, labelNames, () => ({ value: 0 }));
+  f.inc = (values, by = 1) => {
+    f.get(values).value += by;
+  };
+  return f;
+}
+
+function gauge(name, help, labelNames) {
+  const f = family("gauge", name, help, labelNames, () => ({ value: 0 }));
+  f.add = (values, by) => {
+    f.get(values).value += by;
+  };
+  return f;
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const f = family("histogram", name, help, labelNames, () => ({
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  f.observe = (values, v) => {
+    const s = f.get(values);
+    buckets.forEach((le, i) => {
+      if (v <= le) s.counts[i]++;
+    });
+    s.sum += v;
+    s.count++;
+  };
+  f.lines = () =>
+    [...f.series.values()].flatMap((s) => [
+      ...buckets.map(
+        (le, i) => `${name}_bucket${formatLabels(labelNames, s.values, `le="${formatNumber(le)}"`)} ${s.counts[i]}`
+      ),
+      `${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.count}`,
+      `${name}_sum${formatLabels(labelNames, s.values)} ${formatNumber(s.sum)}`,
+      `${name}_count${formatLabels(labelNames, s.values)} ${s.count}`,
+    ]);
+  return f;
+}
+
+function render(f) {
+  const lines = f.lines
+    ? f.lines()
+    : [...f.series.values()].map(
+        (s) => `${f.name}${formatLabels(f.labelNames, s.values)} ${formatNumber(s.value)}`
+      );
+  return [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...lines].join("\n");
+}
+
+export function createMetrics() {
+  const requests = counter(
+    "proxy_requests_total",
+    "Requests handled, by route, method and status class.",
+    ["route", "method", "status"]
+  );
+  const duration = histogram(
+    "proxy_request_duration_seconds",
+    "Time until the response headers were ready.",
+    ["route", "method", "status"],
+    LATENCY_BUCKETS
+  );
+  const upstreamErrors = counter(
+    "proxy_upstream_errors_total",
+    "Upstream fetches that failed, by reason (timeout or error).",
+    ["route", "reason"]
+  );
+  const bytesIn = counter("proxy_request_bytes_total", "Request body bytes sent upstream.", ["route"]);
+  const bytesOut = counter("proxy_response_bytes_total", "Response body bytes sent to clients.", ["route"]);
+  const sseOpen = gauge("proxy_sse_streams_open", "Event streams currently open.", ["route"]);
+  const cacheResults = counter(
+    "proxy_cache_requests_total",
+    "Requests on cached routes, by result (HIT, MISS, REVALIDATED or BYPASS).",
+    ["route", "result"]
+  );
+  const rejections = counter(
+    "proxy_rate_limit_rejections_total",
+    "Requests rejected by a rate limit or a daily quota.",
+    ["route", "limit"]
+  );
+  const families = [requests, duration, upstreamErrors, bytesIn, bytesOut, sseOpen, cacheResults, rejections];
+
+  const routeLabel = (route) => route || "none";
+
+  /**
+   * Once the response headers are ready:
+   * { route, method, status, latencyMs, cache, upstreamError, limited, sse }
+   */
+  function responded({ route, method, status, latencyMs, cache, upstreamError, limited, sse }) {
+    const r = routeLabel(route);
+    const labels = [r, METHODS.has(method) ? method : "OTHER", `${Math.floor(status / 100)}xx`];
+    requests.inc(labels);
+    duration.observe(labels, latencyMs / 1000);
+    if (upstreamError) upstreamErrors.inc([r, upstreamError]);
+    if (cache) cacheResults.inc([r, cache]);
+    if (limited) rejections.inc([r, limited]);
+    if (sse) sseOpen.add([r], 1);
+  }
+
+  // Once the body has been sent or the client went away: { route, bytesIn, bytesOut, sse }
+  function finished({ route, bytesIn: sent, bytesOut: received, sse }) {
+    const r = routeLabel(route);
+    if (sent) bytesIn.inc([r], sent);
+    if (received) bytesOut.inc([r], received);
+    if (sse) sseOpen.add([r], -1);
+  }
+
+  // HIT and REVALIDATED (served from the cache) over every lookup; BYPASS isn't one
+  function hitRatio() {
+    const byRoute = new Map();
+    for (const { values, value } of cacheResults.series.values()) {
+      const [route, result] = values;
+      const t = byRoute.get(route) || { hits: 0, lookups: 0 };
+      if (result !== "BYPASS") t.lookups += value;
+      if (result === "HIT" || result === "REVALIDATED") t.hits += value;
+      byRoute.set(route, t);
+    }
+    const ratio = gauge("proxy_cache_hit_ratio", "Share of cache lookups served from the cache.", ["route"]);
+    for (const [route, { hits, lookups }] of byRoute) {
+      if (lookups) ratio.add([route], hits / lookups);
+    }
+    return ratio;
+  }
+
+  function text() {
+    return [...families, hitRatio()].map(render).join("\n\n") + "\n";
+  }
+
+  return { responded, finished, text };
+}
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -0,0 +1,78 @@
+// lib/proxy/node/audit-file.js — JSON-lines audit log with rotation (Node runtime only)
+//
+// Records are appended to <PROXY_DATA_DIR>/audit/audit.log. When the file would
+// grow past rotate.maxBytes it becomes audit.log.1 (older files shift up) and
+// anything beyond rotate.keep files is deleted.
+
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir, rename, rm, stat } from "node:fs/promises";
+import path from "node:path";
+import { createInterface } from "node:readline";
+import { matchesQuery } from "../audit.js";
+
+export function createFileSink(dir, { maxBytes, keep }) {
+  const file = path.join(dir, "audit.log");
+  const rotated = (n) => `${file}.${n}`;
+  let size = null;
+
+  async function rotate() {
+    await rm(rotated(keep), { force: true });
+    for (let n = keep - 1; n >= 1; n--) {
+      await rename(rotated(n), rotated(n + 1)).catch(() => {});
+    }
+    await rename(file, rotated(1)).catch(() => {});
+    size = 0;
+  }
+
+  // Appends are serialized so lines never interleave and rotation is race-free
+  let queue = Promise.resolve();
+  function write(record) {
+    const line = JSON.stringify(record) + "\n";
+    const bytes = Buffer.byteLength(line);
+    const run = queue.then(async () => {
+      if (size === null) {
+        await mkdir(dir, { recursive: true });
+        size = await stat(file).then((s) => s.size, () => 0);
+      }
+      if (size > 0 && size + bytes > maxBytes) await rotate();
+      await appendFile(file, line, { mode: 0o600 });
+      size += bytes;
+    });
+    queue = run.catch((err) => console.error(`audit: could not write ${file}: ${err.message}`));
+    return queue;
+  }
+
+  async function* readLines(f) {
+    const input = createReadStream(f, { encoding: "utf8" });
+    try {
+      for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+        if (line) yield line;
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  // Newest first; { user, path, from, to, status, limit }
+  async function query(filters = {}) {
+    const limit = Math.min(Number(filters.limit) || 100, 1000);
+    const out = [];
+    for (const f of [file, ...Array.from({ length: keep }, (_, i) => rotated(i + 1))]) {
+      const matches = [];
+      for await (const line of readLines(f)) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue; // torn line from a crash
+        }
+        if (matchesQuery(record, filters)) matches.push(record);
+      }
+      out.push(...matches.reverse());
+      if (out.length >= limit) break;
+    }
+    return out.slice(0, limit);
+  }
+
+  return { write, query };
+}
@@ -0,0 +1,77 @@
+// lib/proxy/node/cache-file.js — response cache entries on disk (Node runtime only)
+//
+// One file per upstream URL in <PROXY_DATA_DIR>/cache, named by the SHA-256 of
+// the URL, holding its Vary variants with base64 bodies. An in-memory index
+// (rebuilt from the directory on first use) tracks sizes so the oldest entries
+// can be evicted once the directory grows past maxBytes.
+
+import { createHash } from "node:crypto";
+import { readdir, rm } from "node:fs/promises";
+import path from "node:path";
+import { readJson, writeJson } from "./files.js";
+
+export function createFileStore(dir, { maxBytes = 256 * 1024 * 1024 } = {}) {
+  const fileFor = (key) => path.join(dir, createHash("sha256").update(key).digest("hex") + ".json");
+  let index = null; // key -> { size, storedAt }
+  let bytes = 0;
+
+  async function load() {
+    if (index) return index;
+    index = new Map();
+    const names = await readdir(dir).catch((err) => {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    });
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const data = await readJson(path.join(dir, name)).catch(() => null);
+      if (!data?.key) continue;
+      index.set(data.key, { size: data.size, storedAt: data.storedAt });
+      bytes += data.size;
+    }
+    return index;
+  }
+
+  async function remove(key) {
+    const hit = (await load()).get(key);
+    if (!hit) return false;
+    index.delete(key);
+    bytes -= hit.size;
+    await rm(fileFor(key), { force: true });
+    return true;
+  }
+
+  return {
+    async get(key) {
+      if (!(await load()).has(key)) return null;
+      const data = await readJson(fileFor(key)).catch(() => null);
+      if (!data) return null;
+      return data.variants.map((v) => ({ ...v, body: new Uint8Array(Buffer.from(v.body, "base64")) }));
+    },
+    async set(key, variants, size) {
+      await remove(key);
+      const storedAt = Date.now();
+      await writeJson(fileFor(key), {
+        key,
+        size,
+        storedAt,
+        variants: variants.map((v) => ({ ...v, body: Buffer.from(v.body).toString("base64") })),
+      });
+      index.set(key, { size, storedAt });
+      bytes += size;
+      if (bytes > maxBytes) {
+        const oldest = [...index].sort((a, b) => a[1].storedAt - b[1].storedAt);
+        for (const [k] of oldest) {
+          if (bytes <= maxBytes) break;
+          await remove(k);
+        }
+      }
+    },
+    delete: remove,
+    async keys() {
+      return [...(await load()).keys()];
+    },
+    async stats() {
+      return { entries: (await load()).size, bytes };
+    },
+  };
+}
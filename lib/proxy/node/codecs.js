@@ -0,0 +1,36 @@
+// lib/proxy/node/codecs.js — zlib codecs for encoding.js (Node runtime only)
+//
+// Adds br, which CompressionStream lacks, and flushes after every chunk so a
+// slowly streamed response isn't held back by the compressor.
+
+import zlib from "node:zlib";
+import { Duplex } from "node:stream";
+
+const FLUSH = { flush: zlib.constants.Z_SYNC_FLUSH };
+
+function codec(createEncoder, createDecoder) {
+  return {
+    encode: (body) => body.pipeThrough(Duplex.toWeb(createEncoder())),
+    decode: (body) => body.pipeThrough(Duplex.toWeb(createDecoder())),
+  };
+}
+
+export const nodeCodecs = {
+  br: codec(
+    () =>
+      zlib.createBrotliCompress({
+        flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+        // on-the-fly: the default quality (11) is far too slow per request
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+      }),
+    () => zlib.createBrotliDecompress()
+  ),
+  gzip: codec(
+    () => zlib.createGzip(FLUSH),
+    () => zlib.createGunzip(FLUSH)
+  ),
+  deflate: codec(
+    () => zlib.createDeflate(FLUSH),
+    () => zlib.createInflate(FLUSH)
+  ),
+};
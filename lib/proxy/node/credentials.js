@@ -0,0 +1,157 @@
+// lib/proxy/node/credentials.js — upstream credentials encrypted at rest (Node runtime only)
+//
+// Values are AES-256-GCM encrypted with a key derived (scrypt) from
+// PROXY_MASTER_KEY and stored in <PROXY_DATA_DIR>/credentials.json. The
+// plaintext only exists in memory while a request is being proxied, and every
+// value is registered with redact.js as soon as it is decrypted.
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "node:crypto";
+import { readJson, writeJson } from "./files.js";
+import { registerSecret, forgetSecret } from "../redact.js";
+
+const KEY_CHECK = "feedback-studio-credentials";
+
+function deriveKey(masterKey, salt) {
+  if (!masterKey) throw new Error("PROXY_MASTER_KEY is not set");
+  return scryptSync(masterKey, Buffer.from(salt, "base64"), 32);
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(key, box, aad) {
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(box.iv, "base64"));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(box.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+function isExpired(entry, now = Date.now()) {
+  return Boolean(entry.expiresAt) && Date.parse(entry.expiresAt) <= now;
+}
+
+function metadata(name, entry) {
+  return {
+    name,
+    version: entry.version,
+    createdAt: entry.createdAt,
+    rotatedAt: entry.rotatedAt,
+    expiresAt: entry.expiresAt,
+    expired: isExpired(entry),
+  };
+}
+
+export function createCredentialStore(file, { masterKey = process.env.PROXY_MASTER_KEY } = {}) {
+  let keyCache = null; // { salt, key }
+
+  async function load() {
+    const data = await readJson(file);
+    if (data) return data;
+    const salt = randomBytes(16).toString("base64");
+    return { salt, check: encrypt(deriveKey(masterKey, salt), KEY_CHECK, "check"), credentials: {} };
+  }
+
+  function keyFor(data, secret = masterKey) {
+    if (secret === masterKey && keyCache?.salt === data.salt) return keyCache.key;
+    const key = deriveKey(secret, data.salt);
+    try {
+      if (decrypt(key, data.check, "check") !== KEY_CHECK) throw new Error();
+    } catch {
+      throw new Error("PROXY_MASTER_KEY does not match the credential store");
+    }
+    if (secret === masterKey) keyCache = { salt: data.salt, key };
+    return key;
+  }
+
+  let queue = Promise.resolve();
+  function update(fn) {
+    const run = queue.then(async () => {
+      const data = await load();
+      const result = await fn(data);
+      await writeJson(file, data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Plaintext for the proxy core, or null if missing/expired
+  async function resolve(name) {
+    const data = await readJson(file);
+    const entry = data?.credentials[name];
+    if (!entry || isExpired(entry)) return null;
+    const value = decrypt(keyFor(data), entry.box, name);
+    registerSecret(value, name);
+    return value;
+  }
+
+  async function list() {
+    const data = await readJson(file);
+    return Object.entries(data?.credentials || {}).map(([name, e]) => metadata(name, e));
+  }
+
+  // Creates or rotates a credential; the previous value is gone afterwards
+  function set(name, value, { expiresAt = null } = {}) {
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid credential name "${name}"`);
+    if (!value) throw new Error("Credential value is empty");
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+      throw new Error(`Invalid expiry date "${expiresAt}"`);
+    }
+    return update((data) => {
+      const prev = data.credentials[name];
+      const now = new Date().toISOString();
+      data.credentials[name] = {
+        box: encrypt(keyFor(data), value, name),
+        version: (prev?.version || 0) + 1,
+        createdAt: prev?.createdAt || now,
+        rotatedAt: prev ? now : null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      };
+      registerSecret(value, name);
+      return metadata(name, data.credentials[name]);
+    });
+  }
+
+  function remove(name) {
+    return update((data) => {
+      const entry = data.credentials[name];
+      if (!entry) throw new Error(`Unknown credential "${name}"`);
+      try {
+        forgetSecret(decrypt(keyFor(data), entry.box, name));
+      } catch {
+        // unreadable entries are removed all the same
+      }
+      delete data.credentials[name];
+    });
+  }
+
+  // Re-encrypt everything under a new master key (and a fresh salt)
+  function rotateMasterKey(newMasterKey) {
+    return update((data) => {
+      const oldKey = keyFor(data);
+      const salt = randomBytes(16).toString("base64");
+      const newKey = deriveKey(newMasterKey, salt);
+      for (const [name, entry] of Object.entries(data.credentials)) {
+        entry.box = encrypt(newKey, decrypt(oldKey, entry.box, name), name);
+      }
+      data.salt = salt;
+      data.check = encrypt(newKey, KEY_CHECK, "check");
+      masterKey = newMasterKey;
+      keyCache = { salt, key: newKey };
+    });
+  }
+
+  return { resolve, list, set, remove, rotateMasterKey };
+}
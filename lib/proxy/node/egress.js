@@ -0,0 +1,23 @@
+// lib/proxy/node/egress.js — egress checks on resolved addresses (Node runtime only)
+//
+// A public-looking hostname can resolve to 127.0.0.1 or 169.254.169.254 (or
+// start doing so between two requests). The check runs in the socket's own
+// DNS lookup, so the address that is checked is the one connected to.
+
+import dns from "node:dns";
+import { egressError } from "../egress.js";
+
+/** A `lookup` for net/tls/http(s) that refuses addresses `policy` blocks */
+export function guardedLookup(policy) {
+  return function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const all = Array.isArray(address) ? address : [{ address, family }];
+      for (const a of all) {
+        const reason = policy.checkAddress(hostname, a.address);
+        if (reason) return callback(egressError(`Egress blocked: ${reason}`));
+      }
+      callback(null, address, family);
+    });
+  };
+}
@@ -0,0 +1,33 @@
+// lib/proxy/node/files.js — small JSON file helpers for the local stores
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export const DATA_DIR = path.resolve(process.env.PROXY_DATA_DIR || ".proxy-data");
+
+export function dataFile(name) {
+  return path.join(DATA_DIR, name);
+}
+
+// <dir>/<user><ext>; user names are validated by the user store, but never
+// trusted as paths
+export function userFile(dir, user, ext) {
+  return path.join(dir, `${encodeURIComponent(user)}${ext}`);
+}
+
+export async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename, so readers never see a half-written file
+export async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2) + "\n", { mode: 0o600 });
+  await rename(tmp, file);
+}
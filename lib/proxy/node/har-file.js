@@ -0,0 +1,46 @@
+// lib/proxy/node/har-file.js — HAR files on disk (Node runtime only)
+//
+// Recording writes one file per proxy user and recording session, a session
+// being one run of the server: <PROXY_DATA_DIR>/har/<start time>/<user>.har.
+// Each file is rewritten atomically as entries arrive, so it is always a
+// complete HAR that browser devtools and other HAR viewers can open; only the
+// newest `maxEntries` entries are kept (in memory too, until the server stops).
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { userFile, writeJson } from "./files.js";
+import { emptyHar } from "../har.js";
+
+export function createHarRecorder(dir, { maxEntries }) {
+  const sessionDir = path.join(dir, new Date().toISOString().replace(/[:.]/g, "-"));
+  const logs = new Map(); // user -> entries
+  const pending = new Set(); // users whose file is waiting to be written
+
+  const fileFor = (user) => userFile(sessionDir, user, ".har");
+
+  // Entries that arrive while a user's file is queued go out with that write
+  let queue = Promise.resolve();
+  function write(user, entry) {
+    const entries = logs.get(user) || [];
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+    logs.set(user, entries);
+    if (pending.has(user)) return queue;
+    pending.add(user);
+    queue = queue
+      .then(() => {
+        pending.delete(user);
+        return writeJson(fileFor(user), emptyHar(entries));
+      })
+      .catch((err) => console.error(`har: could not write ${fileFor(user)}: ${err.message}`));
+    return queue;
+  }
+
+  return { write, dir: sessionDir };
+}
+
+export async function loadHar(file) {
+  const har = JSON.parse(await readFile(file, "utf8"));
+  if (!Array.isArray(har?.log?.entries)) throw new Error(`${file} is not a HAR file`);
+  return har;
+}
@@ -0,0 +1,126 @@
+// lib/proxy/node/index.js — Node-runtime services shared by the route handlers
+//
+// Everything here may touch the filesystem, so it must never be imported from
+// middleware.js (Edge runtime).
+//
+// server.js imports this module directly while Next loads its own bundled
+// copy. Stores that keep state in memory (jar cache, write queues, buckets,
+// cached responses) are kept on globalThis so both copies share them.
+
+import path from "node:path";
+import { loadConfig } from "../config.js";
+import { createAuthenticator } from "../auth.js";
+import { createUserStore } from "./users.js";
+import { createCredentialStore } from "./credentials.js";
+import { createJarStore } from "./jars.js";
+import { createFileBackend } from "./ratelimit-file.js";
+import { createFileSink } from "./audit-file.js";
+import { createLimiter, createMemoryBackend } from "../ratelimit.js";
+import { createBreakers } from "../breaker.js";
+import { createHealthChecker } from "../health.js";
+import { createCache, createMemoryStore } from "../cache.js";
+import { createFileStore } from "./cache-file.js";
+import { dataFile } from "./files.js";
+import { nodeCodecs } from "./codecs.js";
+import { createRawFetch } from "./transport.js";
+import { guardedLookup } from "./egress.js";
+import { createEgressPolicy } from "../egress.js";
+import { createHarRecorder, loadHar } from "./har-file.js";
+import { createReplayer } from "../har.js";
+import { createMetrics } from "../metrics.js";
+import { createConsoleExporter, createOtlpExporter, createTracer } from "../tracing.js";
+import { createTraceFile } from "./trace-file.js";
+
+const registry = (globalThis[Symbol.for("proxy.node.services")] ??= new Map());
+
+function shared(name, create) {
+  if (!registry.has(name)) registry.set(name, create());
+  return registry.get(name);
+}
+
+export const sessionSecret = process.env.PROXY_SESSION_SECRET || "";
+
+const config = loadConfig();
+
+export const users = createUserStore(dataFile("users.json"));
+
+export const credentials = createCredentialStore(dataFile("credentials.json"));
+
+export const jars = shared("jars", () => createJarStore(dataFile("jars")));
+
+export const authenticator = createAuthenticator({
+  auth: config.auth,
+  secret: sessionSecret,
+  store: users,
+});
+
+export const limiter = createLimiter({
+  limits: config.limits,
+  backend: shared(`ratelimit:${config.limits.backend}`, () =>
+    config.limits.backend === "file"
+      ? createFileBackend(dataFile("ratelimits.json"))
+      : createMemoryBackend()
+  ),
+});
+
+export const audit = shared("audit", () => createFileSink(dataFile("audit"), config.audit.rotate));
+
+export const cache = createCache({
+  store: shared(`cache:${config.cache.backend}`, () =>
+    config.cache.backend === "file"
+      ? createFileStore(dataFile("cache"), config.cache)
+      : createMemoryStore(config.cache)
+  ),
+  maxEntryBytes: config.cache.maxEntryBytes,
+});
+
+// Shared by the proxy route handler and the health checker, so a passing probe
+// can half-open the breaker that live traffic tripped. Both live on globalThis:
+// every bundle (and server.js) must see the same breakers, and only one probe
+// interval may run. Call health.start() from a request handler (it is a no-op
+// after the first call).
+export const breakers = shared("breakers", () => createBreakers(config.breaker));
+
+export const health = shared("health", () =>
+  createHealthChecker({
+    routes: config.routes,
+    // A replay runs without the network: nothing to probe
+    policy: config.har.mode === "replay" ? { ...config.health, enabled: false } : config.health,
+    breakers,
+  })
+);
+
+// DNS lookups for upstream connections (HTTP and WebSocket) that refuse
+// blocked addresses, see egress.js
+export const lookup = guardedLookup(createEgressPolicy(config.egress));
+
+// Upstream bodies stay encoded until the proxy has to read them (encoding.js)
+export const upstreamFetch = createRawFetch({ lookup });
+export const codecs = nodeCodecs;
+
+// HAR recording and replay (har.js), when `har.mode` asks for them
+export const harRecorder =
+  config.har.mode === "record"
+    ? shared("har", () => createHarRecorder(dataFile("har"), config.har))
+    : null;
+export const harReplay =
+  config.har.mode === "replay"
+    ? shared("har-replay", () => createReplayer(() => loadHar(path.resolve(config.har.file))))
+    : null;
+
+// Counted by the catch-all route handler, served by /__proxy/metrics; each
+// route is its own bundle, so the series live on globalThis too
+export const metrics = shared("metrics", createMetrics);
+
+// Spans for `tracing.enabled` (tracing.js), exported in batches
+function createTraceExporter({ exporter, endpoint, headers, serviceName }) {
+  if (exporter === "console") return createConsoleExporter();
+  if (exporter === "file") return createTraceFile(dataFile("traces"), { serviceName });
+  return createOtlpExporter({ endpoint, headers, serviceName });
+}
+
+export const tracer = config.tracing.enabled
+  ? shared("tracer", () =>
+      createTracer({ exporter: createTraceExporter(config.tracing), sampleRate: config.tracing.sampleRate })
+    )
+  : null;
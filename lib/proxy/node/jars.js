@@ -0,0 +1,51 @@
+// lib/proxy/node/jars.js — per-user cookie jars on disk (Node runtime only)
+//
+// One JSON file per proxy user in <PROXY_DATA_DIR>/jars/, kept in memory after
+// the first read. Writes are serialized per user.
+
+import { readJson, userFile, writeJson } from "./files.js";
+import { cookiesFor, pruneExpired, putCookies } from "../jar.js";
+
+export function createJarStore(dir) {
+  const cache = new Map(); // user -> cookie array
+  const queues = new Map(); // user -> Promise
+
+  const fileFor = (user) => userFile(dir, user, ".json");
+
+  async function load(user) {
+    if (!cache.has(user)) cache.set(user, (await readJson(fileFor(user)))?.cookies || []);
+    return cache.get(user);
+  }
+
+  function update(user, fn) {
+    const run = (queues.get(user) || Promise.resolve()).then(async () => {
+      const next = fn(await load(user));
+      cache.set(user, next);
+      await writeJson(fileFor(user), { cookies: next });
+      return next;
+    });
+    queues.set(user, run.catch(() => {}));
+    return run;
+  }
+
+  async function cookieHeader(user, url) {
+    return cookiesFor(await load(user), url);
+  }
+
+  async function capture(user, url, setCookies) {
+    if (!setCookies.length) return;
+    await update(user, (jar) => putCookies(jar, setCookies, url));
+  }
+
+  async function list(user) {
+    return pruneExpired(await load(user));
+  }
+
+  // Without a filter the whole jar goes; otherwise only matching cookies
+  async function clear(user, { name, domain } = {}) {
+    const matches = (c) => (!name || c.name === name) && (!domain || c.domain === domain);
+    await update(user, (jar) => jar.filter((c) => !matches(c)));
+  }
+
+  return { cookieHeader, capture, list, clear };
+}
@@ -0,0 +1,47 @@
+// lib/proxy/node/ratelimit-file.js — rate-limit buckets persisted to disk (Node runtime only)
+//
+// Buckets are kept in memory and flushed to <PROXY_DATA_DIR>/ratelimits.json
+// shortly after they change, so limits and daily quotas survive a restart.
+// One process per file: this is for single-node deployments.
+
+import { readFileSync } from "node:fs";
+import { writeJson } from "./files.js";
+
+const FLUSH_DELAY_MS = 1000;
+
+export function createFileBackend(file) {
+  let buckets;
+  try {
+    buckets = new Map(Object.entries(JSON.parse(readFileSync(file, "utf8")).buckets || {}));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`ratelimit: ignoring unreadable ${file}: ${err.message}`);
+    buckets = new Map();
+  }
+
+  let timer = null;
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      writeJson(file, { buckets: Object.fromEntries(buckets) }).catch((err) =>
+        console.error(`ratelimit: could not save ${file}: ${err.message}`)
+      );
+    }, FLUSH_DELAY_MS);
+    timer.unref?.();
+  }
+
+  return {
+    async update(key, fn) {
+      const { state, result } = fn(buckets.get(key));
+      buckets.set(key, state);
+      scheduleFlush();
+      return result;
+    },
+    async get(key) {
+      return buckets.get(key) || null;
+    },
+    async entries() {
+      return [...buckets.entries()];
+    },
+  };
+}
@@ -0,0 +1,26 @@
+// lib/proxy/node/trace-file.js — spans on disk for offline debugging (Node runtime only)
+//
+// Each batch is appended to <PROXY_DATA_DIR>/traces/traces.jsonl as one line
+// of OTLP/JSON, the format of the OpenTelemetry Collector's file exporter: the
+// collector's otlpjsonfile receiver can ship a file to a tracing backend later.
+
+import { appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { batched, toOtlp } from "../tracing.js";
+
+export function createTraceFile(dir, { serviceName }) {
+  const file = path.join(dir, "traces.jsonl");
+  // Batches are appended one at a time so lines never interleave; a failed
+  // append is reported by batched() and doesn't hold up the ones after it
+  let queue = Promise.resolve();
+  const exporter = batched((batch) => {
+    const line = JSON.stringify(toOtlp(batch, serviceName)) + "\n";
+    const run = queue.then(async () => {
+      await mkdir(dir, { recursive: true });
+      await appendFile(file, line, { mode: 0o600 });
+    });
+    queue = run.catch(() => {});
+    return run;
+  });
+  return { ...exporter, file };
+}
@@ -0,0 +1,85 @@
+// lib/proxy/node/transport.js — upstream HTTP without fetch()'s body decoding (Node runtime only)
+//
+// fetch() always undoes Content-Encoding, so a gzip body from the upstream
+// would be inflated only to be compressed again for the client. The function
+// createRawFetch() returns takes what fetchFollow() passes to fetch() (method,
+// headers, streamed body, signal; redirects are never followed) but hands
+// back the body exactly as the upstream sent it. Decoding, when it is needed,
+// is up to the proxy core (encoding.js). `lookup` is node/egress.js's guard.
+
+import http from "node:http";
+import https from "node:https";
+import { Readable } from "node:stream";
+
+const NULL_BODY_STATUS = new Set([204, 205, 304]);
+
+function toHeaders(rawHeaders) {
+  const headers = new Headers();
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    try {
+      headers.append(rawHeaders[i], rawHeaders[i + 1]);
+    } catch {
+      // a header fetch() would reject; leave it out rather than fail the response
+    }
+  }
+  return headers;
+}
+
+export function createRawFetch({ lookup } = {}) {
+  const agents = {
+    "http:": new http.Agent({ keepAlive: true }),
+    "https:": new https.Agent({ keepAlive: true }),
+  };
+  return (input, init) => rawFetch({ agents, lookup }, input, init);
+}
+
+function rawFetch({ agents, lookup }, input, init = {}) {
+  const url = new URL(input);
+  const { signal } = init;
+  const method = (init.method || "GET").toUpperCase();
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const req = (url.protocol === "https:" ? https : http).request(url, {
+      method,
+      headers: Object.fromEntries(new Headers(init.headers)),
+      agent: agents[url.protocol],
+      lookup,
+    });
+    // Until the response body is done: a client disconnect cancels it mid-stream
+    const onAbort = () => req.destroy(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const release = () => signal?.removeEventListener("abort", onAbort);
+
+    req.on("error", (err) => {
+      release();
+      reject(err);
+    });
+    req.on("response", (res) => {
+      res.on("close", release);
+      let response;
+      try {
+        const empty = method === "HEAD" || NULL_BODY_STATUS.has(res.statusCode);
+        response = new Response(empty ? null : Readable.toWeb(res), {
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: toHeaders(res.rawHeaders),
+        });
+        if (empty) res.resume();
+      } catch (err) {
+        req.destroy();
+        return reject(err);
+      }
+      resolve(response);
+    });
+
+    if (init.body) {
+      Readable.fromWeb(init.body)
+        .on("error", (err) => req.destroy(err))
+        .pipe(req);
+    } else {
+      req.end();
+    }
+  });
+}
@@ -0,0 +1,154 @@
+// lib/proxy/node/users.js — local user + API key store (Node runtime only)
+//
+// Users live in <PROXY_DATA_DIR>/users.json and are managed with
+// `npm run users -- <command>` (scripts/users.mjs). Passwords are scrypt
+// hashes; API keys are only ever stored as SHA-256 digests.
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { readJson, writeJson } from "./files.js";
+import { API_KEY_PREFIX } from "../auth.js";
+
+const scryptAsync = promisify(scrypt);
+
+const ROLES = ["user", "admin"];
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 32);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [alg, salt, hash] = (stored || "").split("$");
+  if (alg !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+export function createUserStore(file) {
+  const load = async () => (await readJson(file)) || { users: [] };
+
+  // Serialize read-modify-write cycles so concurrent updates don't clobber each other
+  let queue = Promise.resolve();
+  function update(fn) {
+    const run = queue.then(async () => {
+      const data = await load();
+      const result = await fn(data);
+      await writeJson(file, data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function requireUser(data, name) {
+    const user = data.users.find((u) => u.name === name);
+    if (!user) throw new Error(`Unknown user "${name}"`);
+    return user;
+  }
+
+  async function findUser(name) {
+    const { users } = await load();
+    return users.find((u) => u.name === name) || null;
+  }
+
+  async function verifyPassword(name, password) {
+    const user = await findUser(name);
+    if (!user?.passwordHash) return null;
+    return (await checkPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  async function verifyApiKey(key) {
+    if (!key.startsWith(API_KEY_PREFIX)) return null;
+    const digest = sha256(key);
+    const { users } = await load();
+    return users.find((u) => u.apiKeys?.some((k) => k.hash === digest)) || null;
+  }
+
+  async function listUsers() {
+    const { users } = await load();
+    return users.map((u) => ({
+      name: u.name,
+      role: u.role,
+      createdAt: u.createdAt,
+      apiKeys: (u.apiKeys || []).map(({ id, label, createdAt }) => ({ id, label, createdAt })),
+    }));
+  }
+
+  function addUser(name, { role = "user", password } = {}) {
+    if (!/^[\w.@-]+$/.test(name)) throw new Error(`Invalid user name "${name}"`);
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(", ")}`);
+    return update(async (data) => {
+      if (data.users.some((u) => u.name === name)) {
+        throw new Error(`User "${name}" already exists`);
+      }
+      data.users.push({
+        name,
+        role,
+        passwordHash: password ? await hashPassword(password) : null,
+        apiKeys: [],
+        createdAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  function setPassword(name, password) {
+    return update(async (data) => {
+      requireUser(data, name).passwordHash = await hashPassword(password);
+    });
+  }
+
+  function setRole(name, role) {
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(", ")}`);
+    return update((data) => {
+      requireUser(data, name).role = role;
+    });
+  }
+
+  function removeUser(name) {
+    return update((data) => {
+      requireUser(data, name);
+      data.users = data.users.filter((u) => u.name !== name);
+    });
+  }
+
+  // Returns the plaintext key once; only its digest is kept
+  function createApiKey(name, label = "") {
+    return update((data) => {
+      const user = requireUser(data, name);
+      const id = randomBytes(4).toString("hex");
+      const key = `${API_KEY_PREFIX}${id}_${randomBytes(24).toString("base64url")}`;
+      user.apiKeys = user.apiKeys || [];
+      user.apiKeys.push({ id, label, hash: sha256(key), createdAt: new Date().toISOString() });
+      return { id, key };
+    });
+  }
+
+  function revokeApiKey(id) {
+    return update((data) => {
+      const user = data.users.find((u) => u.apiKeys?.some((k) => k.id === id));
+      if (!user) throw new Error(`Unknown API key "${id}"`);
+      user.apiKeys = user.apiKeys.filter((k) => k.id !== id);
+      return user.name;
+    });
+  }
+
+  return {
+    findUser,
+    verifyPassword,
+    verifyApiKey,
+    listUsers,
+    addUser,
+    setPassword,
+    setRole,
+    removeUser,
+    createApiKey,
+    revokeApiKey,
+  };
+}
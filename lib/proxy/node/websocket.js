@@ -0,0 +1,211 @@
+// lib/proxy/node/websocket.js — WebSocket tunnels to the upstreams (Node runtime only)
+//
+// Next route handlers can't take over an upgraded connection, so server.js
+// hands `upgrade` events here. The handshake goes through the proxy core's
+// gate (routing, auth, rate limits, credential, request header rules) and is
+// replayed to the upstream over a raw TCP/TLS socket; after the upstream's
+// 101 the two sockets are piped together. One audit record is written when
+// the tunnel closes.
+
+import { STATUS_CODES } from "node:http";
+import net from "node:net";
+import tls from "node:tls";
+import { applyHeaderPolicy } from "../headers.js";
+import { getSetCookies, mergeCookies } from "../cookies.js";
+import { redact } from "../redact.js";
+import { isEgressBlocked } from "../egress.js";
+
+const MAX_HEAD_BYTES = 64 * 1024;
+
+// IncomingMessage -> Request, for the core's gate (no body: upgrades are GETs)
+function toRequest(req) {
+  const headers = new Headers();
+  for (const [k, v] of Object.entries(req.headers)) {
+    headers.set(k, Array.isArray(v) ? v.join(", ") : v);
+  }
+  const proto = req.socket.encrypted ? "https" : "http";
+  return new Request(`${proto}://${req.headers.host || "localhost"}${req.url}`, {
+    method: req.method,
+    headers,
+  });
+}
+
+function head(status, statusText, headers) {
+  const lines = [`HTTP/1.1 ${status} ${statusText || STATUS_CODES[status] || ""}`];
+  for (const [k, v] of headers) lines.push(`${k}: ${v}`);
+  return lines.join("\r\n") + "\r\n\r\n";
+}
+
+async function writeResponse(socket, res) {
+  const body = Buffer.from(await res.arrayBuffer());
+  const headers = [...res.headers].filter(([k]) => k !== "content-length");
+  headers.push(["content-length", String(body.length)], ["connection", "close"]);
+  socket.end(Buffer.concat([Buffer.from(head(res.status, res.statusText, headers)), body]));
+}
+
+// "HTTP/1.1 101 Switching Protocols\r\n..." -> { status, statusText, headers: [[k, v]] }
+function parseHead(text) {
+  const [statusLine, ...lines] = text.split("\r\n");
+  const m = /^HTTP\/1\.[01] (\d{3}) ?(.*)$/.exec(statusLine);
+  if (!m) throw new Error(`Bad upstream handshake: ${statusLine.slice(0, 100)}`);
+  const headers = lines
+    .filter((line) => line.indexOf(":") > 0)
+    .map((line) => {
+      const colon = line.indexOf(":");
+      return [line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim()];
+    });
+  return { status: Number(m[1]), statusText: m[2], headers };
+}
+
+function connect(url, lookup) {
+  const port = Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+  return url.protocol === "https:"
+    ? tls.connect({ host: url.hostname, port, servername: url.hostname, ALPNProtocols: ["http/1.1"], lookup })
+    : net.connect({ host: url.hostname, port, lookup });
+}
+
+/**
+ * createUpgradeHandler({ proxy, jars, lookup }) → (req, socket, head) for the
+ * HTTP server's `upgrade` event. `proxy` comes from createProxy() in core.js,
+ * `lookup` from node/egress.js.
+ */
+export function createUpgradeHandler({ proxy, jars, lookup }) {
+  return async function upgrade(req, socket, clientHead) {
+    socket.on("error", () => {}); // a client vanishing mid-handshake is not our error
+    const request = toRequest(req);
+    const { ctx, response, target } = await proxy.admit(request);
+    let recorded = false;
+    const finish = (outcome) => {
+      if (recorded) return;
+      recorded = true;
+      proxy.record(request, ctx, outcome).catch(() => {});
+    };
+
+    const reject = (res) => {
+      if (recorded) return;
+      finish({ status: res.status, bytesOut: 0, latencyMs: Date.now() - ctx.started });
+      writeResponse(socket, res).catch(() => socket.destroy());
+    };
+
+    if (response) return reject(response);
+    if (!/\bwebsocket\b/i.test(req.headers.upgrade || "")) {
+      return reject(new Response("Only WebSocket upgrades are proxied", { status: 400 }));
+    }
+
+    const { route, jarUser, upstreamUrl, requestHeaders, vars } = target;
+    const url = new URL(upstreamUrl);
+    const headers = new Headers(requestHeaders);
+    if (jarUser) {
+      const cookie = mergeCookies([
+        headers.get("cookie") || "",
+        await jars.cookieHeader(jarUser, upstreamUrl),
+      ]);
+      if (cookie) headers.set("cookie", cookie);
+    }
+    headers.set("host", url.host);
+    headers.set("connection", "Upgrade");
+    headers.set("upgrade", req.headers.upgrade);
+
+    const upstream = connect(url, lookup);
+    let established = false;
+    let status = null;
+    let latencyMs = 0;
+    let bytesOut = 0;
+
+    const fail = (code, message) => {
+      if (recorded) return;
+      ctx.error = redact(message);
+      upstream.destroy();
+      const prefix = code === 504 ? "" : "Upstream WebSocket failed: ";
+      reject(new Response(prefix + ctx.error, { status: code }));
+    };
+
+    upstream.setTimeout(route.connectTimeout, () =>
+      fail(504, `Upstream did not respond within ${route.connectTimeout}ms`)
+    );
+    upstream.on("error", (err) => {
+      if (!established) return fail(isEgressBlocked(err) ? 403 : 502, err.message);
+      socket.destroy();
+    });
+    socket.on("close", () => upstream.destroy());
+
+    // Request line and headers, then whatever the client sent after its handshake
+    upstream.cork();
+    upstream.write(`GET ${url.pathname}${url.search} HTTP/1.1\r\n`);
+    for (const [k, v] of headers) upstream.write(`${k}: ${v}\r\n`);
+    upstream.write("\r\n");
+    if (clientHead?.length) upstream.write(clientHead);
+    upstream.uncork();
+
+    let buffered = Buffer.alloc(0);
+    const onHead = async (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      const end = buffered.indexOf("\r\n\r\n");
+      if (end === -1) {
+        if (buffered.length > MAX_HEAD_BYTES) fail(502, "Upstream handshake too large");
+        return;
+      }
+      upstream.off("data", onHead);
+      upstream.pause();
+      upstream.setTimeout(0);
+
+      let parsed;
+      try {
+        parsed = parseHead(buffered.subarray(0, end).toString("latin1"));
+      } catch (err) {
+        return fail(502, err.message);
+      }
+      const rest = buffered.subarray(end + 4);
+      status = parsed.status;
+      latencyMs = Date.now() - ctx.started;
+
+      // Same cookie policy as HTTP: into the user's jar, else only if the route forwards them
+      const resHeaders = new Headers();
+      for (const [k, v] of parsed.headers) resHeaders.append(k, v);
+      const setCookies = getSetCookies(resHeaders);
+      if (jarUser) await jars.capture(jarUser, upstreamUrl, setCookies).catch(() => {});
+      resHeaders.delete("set-cookie");
+      if (route.forwardSetCookie && !jarUser) {
+        for (const sc of setCookies) resHeaders.append("set-cookie", sc);
+      }
+      applyHeaderPolicy(resHeaders, route.headers.response, vars);
+
+      socket.write(head(parsed.status, parsed.statusText, [...resHeaders]));
+      if (rest.length) {
+        bytesOut += rest.length;
+        socket.write(rest);
+      }
+      if (status !== 101) {
+        // A refused handshake (401, 403, 404…): pass its body through and close
+        upstream.on("data", (c) => (bytesOut += c.length));
+        upstream.pipe(socket);
+        upstream.resume();
+        return;
+      }
+
+      established = true;
+      socket.setNoDelay(true);
+      upstream.setNoDelay(true);
+      socket.on("data", (c) => (ctx.body.bytes += c.length));
+      upstream.on("data", (c) => (bytesOut += c.length));
+      socket.pipe(upstream);
+      upstream.pipe(socket);
+      upstream.resume();
+    };
+    upstream.on("data", onHead);
+
+    // Audited once both ends are gone (failures were recorded by reject())
+    let closed = 0;
+    const onClose = () => {
+      if (++closed === 2) finish({ status, bytesOut, latencyMs });
+    };
+    upstream.on("close", () => {
+      if (status !== null) return;
+      if (!socket.destroyed) return fail(502, "Upstream closed the connection during the handshake");
+      ctx.error = "client disconnected";
+      finish({ status: 499, bytesOut: 0, latencyMs: Date.now() - ctx.started });
+    });
+    socket.on("close", onClose);
+    upstream.on("close", onClose);
+  };
+}
@@ -0,0 +1,181 @@
+// lib/proxy/ratelimit.js — token-bucket rate limits and daily quotas
+//
+// Buckets are keyed "user:<name>", "key:<api key id>" and "route:<name>"; a
+// request has to pass every bucket that applies to it. The algorithm only
+// needs a backend with get(key) and update(key, fn) — memory here, file in
+// node/ratelimit-file.js.
+
+const UNITS = { s: 1000, sec: 1000, m: 60_000, min: 60_000, h: 3_600_000, hour: 3_600_000 };
+
+// "60/min" -> { count: 60, perMs: 60000 }
+export function parseRate(rate) {
+  const m = /^\s*(\d+)\s*\/\s*(\d*)\s*([a-z]+)\s*$/i.exec(String(rate));
+  if (!m || !UNITS[m[3].toLowerCase()]) throw new Error(`Invalid rate "${rate}"`);
+  return { count: Number(m[1]), perMs: Number(m[2] || 1) * UNITS[m[3].toLowerCase()] };
+}
+
+// { rate: "60/min", burst?: 60, daily?: 5000 } -> policy used by consume()
+export function normalizeLimit(limit) {
+  if (!limit) return null;
+  const policy = { capacity: null, refillPerMs: null, daily: limit.daily ?? null };
+  if (limit.rate) {
+    const { count, perMs } = parseRate(limit.rate);
+    policy.capacity = limit.burst ?? count;
+    policy.refillPerMs = count / perMs;
+  }
+  if (policy.capacity === null && policy.daily === null) return null;
+  return policy;
+}
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+function nextUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+// Pure state transition for one bucket
+export function consume(state, policy, now = Date.now(), cost = 1) {
+  const s = state ? { ...state } : {};
+  const day = utcDay(now);
+  if (s.day !== day) {
+    s.day = day;
+    s.used = 0;
+  }
+
+  const result = { allowed: true, limit: null, remaining: null, resetMs: 0, retryAfterMs: 0 };
+
+  if (policy.capacity !== null) {
+    const elapsed = Math.max(0, now - (s.updatedAt ?? now));
+    s.tokens = Math.min(policy.capacity, (s.tokens ?? policy.capacity) + elapsed * policy.refillPerMs);
+    s.updatedAt = now;
+    result.limit = policy.capacity;
+    if (s.tokens < cost) {
+      result.allowed = false;
+      result.retryAfterMs = Math.ceil((cost - s.tokens) / policy.refillPerMs);
+    }
+  }
+
+  if (policy.daily !== null && s.used + cost > policy.daily) {
+    result.allowed = false;
+    result.quotaExceeded = true;
+    result.retryAfterMs = Math.max(result.retryAfterMs, nextUtcMidnight(now) - now);
+  }
+
+  if (result.allowed) {
+    if (policy.capacity !== null) s.tokens -= cost;
+    s.used += cost;
+  }
+
+  if (policy.capacity !== null) {
+    result.remaining = Math.floor(s.tokens);
+    result.resetMs = Math.ceil((policy.capacity - s.tokens) / policy.refillPerMs);
+  } else {
+    result.limit = policy.daily;
+    result.remaining = policy.daily - s.used;
+    result.resetMs = nextUtcMidnight(now) - now;
+  }
+  if (policy.daily !== null) {
+    result.daily = { limit: policy.daily, used: s.used, remaining: policy.daily - s.used };
+  }
+  return { state: s, result };
+}
+
+// Gives back what an allowed consume() took, when a later bucket rejects the request
+function refund(state, policy, cost = 1) {
+  const s = { ...state };
+  if (policy.capacity !== null) s.tokens = Math.min(policy.capacity, s.tokens + cost);
+  s.used = Math.max(0, s.used - cost);
+  return { state: s, result: null };
+}
+
+export function createMemoryBackend() {
+  const buckets = new Map();
+  return {
+    async update(key, fn) {
+      const { state, result } = fn(buckets.get(key));
+      buckets.set(key, state);
+      return result;
+    },
+    async get(key) {
+      return buckets.get(key) || null;
+    },
+    async entries() {
+      return [...buckets.entries()];
+    },
+  };
+}
+
+// [bucket key, policy] pairs that apply to a request
+export function policiesFor(limits, identity, route) {
+  const out = [];
+  const user = identity?.user?.name;
+  if (user) {
+    const p = normalizeLimit(limits.users?.[user] ?? limits.user);
+    if (p) out.push([`user:${user}`, p]);
+  }
+  if (identity?.keyId) {
+    const p = normalizeLimit(limits.apiKeys?.[identity.keyId] ?? limits.apiKey);
+    if (p) out.push([`key:${identity.keyId}`, p]);
+  }
+  const p = normalizeLimit(route.limits);
+  if (p) out.push([`route:${route.name}`, p]);
+  return out;
+}
+
+/**
+ * createLimiter({ limits, backend }).check(identity, route) resolves to
+ *   { allowed, headers, retryAfterMs, bucket }
+ * where headers are the RateLimit-* headers of the most constrained bucket.
+ */
+export function createLimiter({ limits, backend = createMemoryBackend() }) {
+  async function check(identity, route, now = Date.now()) {
+    const policies = policiesFor(limits, identity, route);
+
+    // Look first, so a request rejected by one bucket doesn't drain the others
+    for (const [key, policy] of policies) {
+      const { result } = consume(await backend.get(key), policy, now);
+      if (!result.allowed) {
+        return { ...result, bucket: key, headers: rateLimitHeaders(result) };
+      }
+    }
+
+    // Decided by the updates themselves: a concurrent request may have emptied
+    // a bucket since we looked
+    const taken = [];
+    let tightest = null;
+    for (const [key, policy] of policies) {
+      const result = await backend.update(key, (state) => consume(state, policy, now));
+      if (!result.allowed) {
+        for (const [k, p] of taken) await backend.update(k, (state) => refund(state, p));
+        return { ...result, bucket: key, headers: rateLimitHeaders(result) };
+      }
+      taken.push([key, policy]);
+      if (!tightest || result.remaining / result.limit < tightest.remaining / tightest.limit) {
+        tightest = { ...result, bucket: key };
+      }
+    }
+    return tightest
+      ? { ...tightest, headers: rateLimitHeaders(tightest) }
+      : { allowed: true, headers: {} };
+  }
+
+  // Current usage of a bucket without consuming anything (dashboard)
+  async function usage(key, policy, now = Date.now()) {
+    const state = await backend.get(key);
+    return consume(state, policy, now, 0).result;
+  }
+
+  return { check, usage, backend };
+}
+
+// IETF draft-ietf-httpapi-ratelimit-headers
+function rateLimitHeaders(result) {
+  const headers = {
+    "ratelimit-limit": String(result.limit),
+    "ratelimit-remaining": String(Math.max(0, result.remaining)),
+    "ratelimit-reset": String(Math.ceil(result.resetMs / 1000)),
+  };
+  if (!result.allowed) headers["retry-after"] = String(Math.ceil(result.retryAfterMs / 1000));
+  return headers;
+}
@@ -0,0 +1,36 @@
+// lib/proxy/redact.js — keeps upstream credentials out of logs and error messages
+//
+// Every credential value handed to the proxy is registered here, and any text
+// that may end up in a response body or a log line goes through redact().
+
+const secrets = new Map(); // value -> label
+
+// Short values would redact innocent substrings; credentials are never this short
+const MIN_SECRET_LENGTH = 8;
+
+export function registerSecret(value, label = "credential") {
+  if (!value || value.length < MIN_SECRET_LENGTH) return;
+  secrets.set(value, label);
+  // Cookie strings are also matched piecewise (a single cookie may leak on its own)
+  for (const part of value.split(";")) {
+    const v = part.slice(part.indexOf("=") + 1).trim();
+    if (v.length >= MIN_SECRET_LENGTH && !secrets.has(v)) secrets.set(v, label);
+  }
+}
+
+export function forgetSecret(value) {
+  secrets.delete(value);
+  for (const part of (value || "").split(";")) {
+    secrets.delete(part.slice(part.indexOf("=") + 1).trim());
+  }
+}
+
+export function redact(text) {
+  let out = String(text ?? "");
+  // Longest first so a full cookie string wins over its parts
+  const values = [...secrets.keys()].sort((a, b) => b.length - a.length);
+  for (const value of values) {
+    if (out.includes(value)) out = out.split(value).join(`[REDACTED:${secrets.get(value)}]`);
+  }
+  return out;
+}
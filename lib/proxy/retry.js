@@ -0,0 +1,57 @@
+// lib/proxy/retry.js — retry policy for upstream fetches
+//
+// Only idempotent methods without a request body are retried (a streamed body
+// cannot be replayed), on network errors and on the configured statuses, with
+// exponential backoff and full jitter. A per-attempt connect timeout is retried
+// like a network error; the total timeout, client disconnects and errors
+// marked `permanent` (a blocked egress, say) are not.
+
+import { sleep } from "./signals.js";
+
+export function canRetry(policy, method, hasBody) {
+  return policy.retries > 0 && !hasBody && policy.methods.includes(method);
+}
+
+// Full jitter: random delay in [0, min(maxDelay, baseDelay * 2^attempt)]
+export function backoff(policy, attempt, random = Math.random) {
+  return Math.round(random() * Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt));
+}
+
+// Retry-After (seconds or HTTP date) in ms, or null
+function retryAfterMs(res) {
+  const value = res.headers.get("retry-after");
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value) * 1000;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+/**
+ * Runs attempt() until it succeeds or the policy gives up.
+ * onRetry({ attempt, delay, status, error }) is called before each retry.
+ */
+export async function withRetry(attempt, policy, { method, hasBody, signal, onRetry }) {
+  const maxAttempts = canRetry(policy, method, hasBody) ? policy.retries + 1 : 1;
+
+  for (let n = 0; ; n++) {
+    const last = n + 1 >= maxAttempts;
+    let res;
+    try {
+      res = await attempt(n);
+    } catch (err) {
+      // `signal` is the whole request: total timeout or client gone
+      if (last || signal?.aborted || err?.permanent) throw err;
+      const delay = backoff(policy, n);
+      await onRetry?.({ attempt: n + 1, delay, error: err });
+      await sleep(delay, signal);
+      continue;
+    }
+
+    if (last || !policy.statuses.includes(res.status)) return res;
+
+    const delay = Math.min(policy.maxDelay, Math.max(backoff(policy, n), retryAfterMs(res) ?? 0));
+    await res.body?.cancel().catch(() => {});
+    await onRetry?.({ attempt: n + 1, delay, status: res.status });
+    await sleep(delay, signal);
+  }
+}
@@ -0,0 +1,132 @@
+// lib/proxy/rewrite.js — keeps users on the proxy by rewriting upstream URLs
+//
+// Absolute upstream URLs (also protocol-relative and JSON-escaped ones) in
+// HTML, CSS and JavaScript bodies and in Location headers are mapped back to
+// the proxy through the routing table. On a `stripPrefix` route, root-relative
+// URLs in HTML attributes and CSS url() get the route prefix back. This is text
+// rewriting, not parsing: URLs that scripts assemble at runtime are not seen.
+
+import { proxyUrlFor } from "./routes.js";
+
+// A chunk is cut after its last one of these so no URL straddles two chunks
+const SAFE_CUT = /[>\n}][^>\n}]*$/;
+const MAX_CARRY = 64 * 1024;
+
+const URL_ATTRS = "href|src|action|formaction|poster|data|background|cite|longdesc|manifest|icon";
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "html" | "css" | "js" for rewritable (UTF-8) content types, else null
+export function rewriteKind(contentType) {
+  const ctype = (contentType || "").toLowerCase();
+  const charset = /charset=["']?([^;"'\s]+)/.exec(ctype)?.[1];
+  if (charset && !["utf-8", "utf8", "us-ascii"].includes(charset)) return null;
+  if (/^text\/html\b|^application\/xhtml\+xml\b/.test(ctype)) return "html";
+  if (/^text\/css\b/.test(ctype)) return "css";
+  if (/^(?:text|application)\/(?:x-)?(?:javascript|ecmascript)\b/.test(ctype)) return "js";
+  return null;
+}
+
+/**
+ * createRewriter(router, route, proxyOrigin) → { url, location, text, stream }
+ * for one response of `route`, served to a client at `proxyOrigin`.
+ */
+export function createRewriter(router, route, proxyOrigin) {
+  // Upstream URL -> proxy URL, only if the proxy would route it back there
+  function url(href) {
+    let target;
+    try {
+      target = new URL(href);
+    } catch {
+      return null;
+    }
+    // The current route first: it is the likeliest, and wins ties
+    for (const r of [route, ...router.routes.filter((x) => x !== route)]) {
+      const mapped = proxyUrlFor(r, target, proxyOrigin);
+      if (mapped && router.match(new URL(mapped)) === r) return mapped;
+    }
+    return null;
+  }
+
+  const prefix = route.stripPrefix && route.prefix !== "/" ? route.prefix : "";
+
+  function location(value, base) {
+    if (!value) return value;
+    let resolved;
+    try {
+      resolved = new URL(value, base || undefined);
+    } catch {
+      return value;
+    }
+    if (/^[a-z][a-z\d+.-]*:|^\/\//i.test(value)) return url(resolved.toString()) ?? value;
+    return prefix && value.startsWith("/") ? prefix + value : value;
+  }
+
+  const hosts = [...new Set(router.routes.map((r) => new URL(r.upstream).host))]
+    .map(escapeRe)
+    .join("|");
+  const boundary = `(?=[/?#"'\\s)<>\\\\]|$)`;
+  const plainUrl = new RegExp(
+    `(?:https?:)?//(?:${hosts})${boundary}[^\\s"'<>()\\\\\`]*`,
+    "gi"
+  );
+  // As in JSON or JS strings: https:\/\/host\/path
+  const escapedUrl = new RegExp(
+    `(?:https?:)?\\\\/\\\\/(?:${hosts})${boundary}(?:\\\\/|[^\\s"'<>()\\\\\`])*`,
+    "gi"
+  );
+  const upstreamProtocol = new URL(route.upstream).protocol;
+
+  function absolute(match) {
+    const href = match.startsWith("//") ? upstreamProtocol + match : match;
+    return url(href) ?? match;
+  }
+
+  function rootRelative(input, kind) {
+    if (!prefix) return input;
+    const out = input.replace(/(url\(\s*["']?)(\/(?!\/))/gi, (_, lead, slash) => lead + prefix + slash);
+    if (kind !== "html") return out;
+    return out
+      .replace(
+        new RegExp(`(\\s(?:${URL_ATTRS})\\s*=\\s*["']?)(\\/(?!\\/))`, "gi"),
+        (_, lead, slash) => lead + prefix + slash
+      )
+      .replace(/(\ssrcset\s*=\s*)(["'])(.*?)\2/gi, (_, lead, q, set) => {
+        const prefixed = set.replace(/(^|,\s*)(\/(?!\/))/g, (__, sep, slash) => sep + prefix + slash);
+        return lead + q + prefixed + q;
+      });
+  }
+
+  // Rewrites one piece of text of the given kind
+  function text(input, kind) {
+    let out = input.replace(plainUrl, absolute);
+    out = out.replace(escapedUrl, (m) => absolute(m.replace(/\\\//g, "/")).replace(/\//g, "\\/"));
+    return kind === "js" ? out : rootRelative(out, kind);
+  }
+
+  // Streams `body` through text(), holding back each chunk's tail after the
+  // last safe cut so a URL split across chunks is still seen whole
+  function stream(body, kind) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let carry = "";
+    return body.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          const data = carry + decoder.decode(chunk, { stream: true });
+          const tail = SAFE_CUT.exec(data);
+          let cut = tail ? tail.index + 1 : 0;
+          if (data.length - cut > MAX_CARRY) cut = data.length; // give up waiting
+          carry = data.slice(cut);
+          if (cut) controller.enqueue(encoder.encode(text(data.slice(0, cut), kind)));
+        },
+        flush(controller) {
+          const data = carry + decoder.decode();
+          if (data) controller.enqueue(encoder.encode(text(data, kind)));
+        },
+      })
+    );
+  }
+
+  return { url, location, text, stream };
+}
@@ -0,0 +1,101 @@
+// lib/proxy/routes.js — picks the route (and upstream URL) for an incoming request
+
+function hostMatches(pattern, hostname) {
+  if (!pattern) return true;
+  if (pattern.startsWith("*.")) return hostname.endsWith(pattern.slice(1));
+  return pattern === hostname;
+}
+
+function prefixMatches(prefix, pathname) {
+  if (prefix === "/") return true;
+  return pathname === prefix || pathname.startsWith(prefix + "/");
+}
+
+// Most specific first: routes with a host, then longer prefixes
+function specificity(route) {
+  return (route.host ? 1e6 : 0) + route.prefix.length;
+}
+
+export function createRouter(routes) {
+  const ordered = [...routes].sort((a, b) => specificity(b) - specificity(a));
+
+  function match(url) {
+    const { hostname, pathname } = url instanceof URL ? url : new URL(url);
+    return (
+      ordered.find(
+        (r) => hostMatches(r.host, hostname) && prefixMatches(r.prefix, pathname)
+      ) || null
+    );
+  }
+
+  return { routes: ordered, match };
+}
+
+// May a redirect from the route's upstream be followed to `target` server-side?
+// Its own origin always; other hosts only when listed in `redirectHosts`.
+export function redirectAllowed(route, target) {
+  const url = target instanceof URL ? target : new URL(target);
+  if (url.origin === route.upstream) return true;
+  return route.redirectHosts.some((pattern) => hostMatches(pattern, url.hostname));
+}
+
+export function badPathError(message) {
+  const err = new Error(message);
+  err.name = "BadPathError";
+  return err;
+}
+
+// Encoded slashes and backslashes become slashes, runs of slashes collapse
+// and dot-segments are resolved (never above the root)
+export function normalizePath(pathname) {
+  const segments = [];
+  const parts = pathname.replace(/%2f|%5c|\\/gi, "/").split("/");
+  for (const part of parts) {
+    const dots = part.replace(/%2e/gi, ".");
+    if (dots === "..") segments.pop();
+    else if (part !== "" && dots !== ".") segments.push(part);
+  }
+  const last = parts.at(-1).replace(/%2e/gi, ".");
+  const trailing = segments.length && (last === "" || last === "." || last === "..");
+  return "/" + segments.join("/") + (trailing ? "/" : "");
+}
+
+// The upstream URL for a request on `route`. Scheme and host are always the
+// route's upstream: the path is set on its own, so "//other-host/x" stays a
+// path. A path that normalizes to outside the route's prefix ("/api/..%2F..%2Fadmin")
+// throws a BadPathError.
+export function buildUpstreamUrl(route, url) {
+  const { pathname, search } = url instanceof URL ? url : new URL(url);
+  let path = normalizePath(pathname);
+  if (!prefixMatches(route.prefix, path)) {
+    throw badPathError(`Path ${pathname} leaves the route's prefix ${route.prefix}`);
+  }
+  if (route.stripPrefix && route.prefix !== "/") {
+    path = path.slice(route.prefix.length) || "/";
+  }
+  const target = new URL(route.upstream);
+  target.pathname = path;
+  target.search = search;
+  return target.toString();
+}
+
+// The inverse of buildUpstreamUrl: where on the proxy (at `proxyOrigin`) the
+// upstream URL `target` is served through `route`, or null if it isn't
+export function proxyUrlFor(route, target, proxyOrigin) {
+  const url = target instanceof URL ? target : new URL(target);
+  if (url.origin !== route.upstream) return null;
+  let path = url.pathname;
+  if (route.stripPrefix && route.prefix !== "/") path = route.prefix + path;
+  else if (!prefixMatches(route.prefix, path)) return null;
+
+  // Set piecewise: a path like "//evil.example" must stay a path
+  const out = new URL(proxyOrigin);
+  out.pathname = path;
+  out.search = url.search;
+  out.hash = url.hash;
+  if (route.host && !hostMatches(route.host, out.hostname)) {
+    if (route.host.startsWith("*.")) return null; // no single hostname to send it to
+    out.hostname = route.host;
+  }
+  return out.toString();
+}
@@ -0,0 +1,46 @@
+// lib/proxy/signals.js — AbortSignal helpers for upstream timeouts and cancellation
+
+export function timeoutError(message) {
+  const err = new Error(message);
+  err.name = "TimeoutError";
+  return err;
+}
+
+// Aborts with a TimeoutError after `ms` unless cleared first. Unlike
+// AbortSignal.timeout() it can be cleared once response headers are in, so a
+// long download isn't cut off by a timeout meant for the request.
+export function deadline(ms, message) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(timeoutError(message)), ms);
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+// Aborts as soon as any input signal does, with that signal's reason
+export function anySignal(signals) {
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (!signal) continue;
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+// setTimeout as a promise that rejects when `signal` aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
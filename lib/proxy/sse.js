@@ -0,0 +1,113 @@
+// lib/proxy/sse.js — Server-Sent Events passthrough
+//
+// The upstream bytes are forwarded untouched; on the side the stream is
+// parsed just enough to count events and remember the last event id. During
+// upstream silence a comment line (": heartbeat") is sent between events so
+// intermediaries don't drop the idle connection, and after `idleTimeout` ms
+// without upstream data the stream is closed so the client reconnects —
+// EventSource then sends Last-Event-ID, which copyRequestHeaders() forwards.
+
+export const SSE_HEADERS = {
+  "cache-control": "no-cache",
+  "x-accel-buffering": "no", // nginx and friends: don't buffer the stream
+};
+
+const HEARTBEAT = new TextEncoder().encode(": heartbeat\n\n");
+
+/**
+ * Wraps an upstream event-stream body. `stats` is filled in as the stream
+ * runs: { events, lastEventId, heartbeats, durationMs, error }.
+ */
+export function sseStream(body, { heartbeat, idleTimeout }, stats) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const started = Date.now();
+  Object.assign(stats, { events: 0, lastEventId: null, heartbeats: 0, durationMs: 0 });
+
+  let partial = ""; // text after the last line break
+  let inEvent = false; // a field was seen since the last blank line
+  let heartbeatTimer = null;
+  let idleTimer = null;
+  let finished = false;
+
+  function scan(text) {
+    const lines = (partial + text).split("\n");
+    partial = lines.pop();
+    for (const raw of lines) {
+      const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+      if (line === "") {
+        if (inEvent) stats.events++;
+        inEvent = false;
+      } else if (!line.startsWith(":")) {
+        inEvent = true;
+        if (line === "id" || line.startsWith("id:")) {
+          stats.lastEventId = line.slice(3).replace(/^ /, "");
+        }
+      }
+    }
+  }
+
+  function finish(error) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(heartbeatTimer);
+    clearTimeout(idleTimer);
+    stats.durationMs = Date.now() - started;
+    if (error) stats.error = error;
+  }
+
+  return new ReadableStream({
+    start(controller) {
+      // Only between events: a comment inside one would corrupt it
+      function scheduleHeartbeat() {
+        if (!heartbeat) return;
+        clearTimeout(heartbeatTimer);
+        heartbeatTimer = setTimeout(() => {
+          if (finished) return;
+          if (!inEvent && partial === "") {
+            controller.enqueue(HEARTBEAT);
+            stats.heartbeats++;
+          }
+          scheduleHeartbeat();
+        }, heartbeat);
+      }
+
+      function scheduleIdle() {
+        if (!idleTimeout) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          finish(`idle for ${idleTimeout}ms`);
+          reader.cancel().catch(() => {});
+          controller.close();
+        }, idleTimeout);
+      }
+
+      scheduleHeartbeat();
+      scheduleIdle();
+      (async () => {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (finished) return;
+          if (done) {
+            scan(decoder.decode());
+            finish();
+            controller.close();
+            return;
+          }
+          scan(decoder.decode(value, { stream: true }));
+          controller.enqueue(value);
+          scheduleHeartbeat();
+          scheduleIdle();
+        }
+      })().catch((err) => {
+        if (finished) return;
+        finish(err?.message || String(err));
+        controller.error(err);
+      });
+    },
+    cancel(reason) {
+      finish();
+      return reader.cancel(reason);
+    },
+  });
+}
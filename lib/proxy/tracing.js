@@ -0,0 +1,235 @@
+// lib/proxy/tracing.js — OpenTelemetry traces without the SDK
+//
+// Spans follow the OpenTelemetry data model and are exported as OTLP/JSON, so
+// any collector (Jaeger, Tempo, Honeycomb, the OTel Collector...) takes them.
+// Trace context comes in and goes upstream in W3C `traceparent` headers.
+// Web APIs only: the tracer runs wherever core.js does.
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// OTLP enums
+const KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+
+// { traceId, spanId, sampled } from a traceparent header, or null when it's
+// missing or malformed (all-zero ids are invalid too)
+export function parseTraceparent(value) {
+  const m = TRACEPARENT.exec((value || "").trim().toLowerCase());
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) return null;
+  return { traceId: m[1], spanId: m[2], sampled: (parseInt(m[3], 16) & 1) === 1 };
+}
+
+function randomHex(bytes) {
+  const buf = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(buf, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Epoch ms with sub-ms precision, as long as the process runs
+const now = () => performance.timeOrigin + performance.now();
+
+function setAttributes(target, attributes) {
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) target[key] = value;
+  }
+}
+
+/**
+ * createTracer({ exporter, sampleRate }) → { start }
+ *
+ * start(name, { parent, kind, attributes }) opens a span; `parent` is another
+ * span or a parseTraceparent() result. New traces are sampled at `sampleRate`
+ * (0–1), the rest follow their parent's decision. Unsampled spans still carry
+ * ids (and propagate with the sampled flag off) but are never exported.
+ * exporter.export(span) receives every sampled span once it has ended.
+ */
+export function createTracer({ exporter, sampleRate = 1, random = Math.random }) {
+  function start(name, { parent, kind = "internal", attributes = {} } = {}) {
+    const span = {
+      traceId: parent?.traceId ?? randomHex(16),
+      spanId: randomHex(8),
+      parentSpanId: parent?.spanId ?? null,
+      sampled: parent ? parent.sampled : random() < sampleRate,
+      name,
+      kind,
+      startTime: now(),
+      endTime: null,
+      attributes: {},
+      events: [],
+      status: { code: "unset" },
+      set(attrs) {
+        setAttributes(span.attributes, attrs);
+        return span;
+      },
+      event(eventName, attrs = {}) {
+        const event = { name: eventName, time: now(), attributes: {} };
+        setAttributes(event.attributes, attrs);
+        span.events.push(event);
+      },
+      // Marks the span failed; `err` may be an Error or a message
+      fail(err) {
+        const message = typeof err === "string" ? err : err?.message || String(err);
+        span.status = { code: "error", message };
+        if (typeof err !== "string") {
+          span.event("exception", { "exception.type": err?.name, "exception.message": message });
+        }
+      },
+      end() {
+        if (span.endTime !== null) return;
+        span.endTime = now();
+        if (span.sampled) exporter.export(span);
+      },
+      traceparent() {
+        return `00-${span.traceId}-${span.spanId}-${span.sampled ? "01" : "00"}`;
+      },
+    };
+    span.set(attributes);
+    return span;
+  }
+
+  return { start };
+}
+
+/**
+ * Wraps an upstream transport (fetchFollow's `fetch`) so every call — one per
+ * redirect hop — is a client span under `parent` and carries its traceparent.
+ * redact() keeps credentials out of the exported URLs and error messages.
+ */
+export function tracedFetch(transport, tracer, parent, redact = (url) => url) {
+  return async (url, init) => {
+    const method = init.method || "GET";
+    const span = tracer.start(method, {
+      parent,
+      kind: "client",
+      attributes: {
+        "http.request.method": method,
+        "url.full": redact(url),
+        "server.address": new URL(url).hostname,
+      },
+    });
+    const headers = new Headers(init.headers);
+    headers.set("traceparent", span.traceparent());
+    try {
+      const res = await transport(url, { ...init, headers });
+      span.set({ "http.response.status_code": res.status });
+      if (res.status >= 500) span.fail(`HTTP ${res.status}`);
+      return res;
+    } catch (err) {
+      span.fail({ name: err?.name, message: redact(err?.message || String(err)) });
+      throw err;
+    } finally {
+      span.end();
+    }
+  };
+}
+
+const nanos = (ms) => `${Math.round(ms * 1000)}000`;
+
+function otlpValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+const otlpAttributes = (attributes) =>
+  Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+// An OTLP/JSON ExportTraceServiceRequest for a batch of ended spans
+export function toOtlp(spans, serviceName) {
+  return {
+    resourceSpans: [
+      {
+        resource: { attributes: otlpAttributes({ "service.name": serviceName }) },
+        scopeSpans: [
+          {
+            scope: { name: "next-proxy" },
+            spans: spans.map((s) => ({
+              traceId: s.traceId,
+              spanId: s.spanId,
+              ...(s.parentSpanId && { parentSpanId: s.parentSpanId }),
+              name: s.name,
+              kind: KINDS[s.kind],
+              startTimeUnixNano: nanos(s.startTime),
+              endTimeUnixNano: nanos(s.endTime),
+              attributes: otlpAttributes(s.attributes),
+              events: s.events.map((e) => ({
+                name: e.name,
+                timeUnixNano: nanos(e.time),
+                attributes: otlpAttributes(e.attributes),
+              })),
+              status: { code: STATUS[s.status.code], ...(s.status.message && { message: s.status.message }) },
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Collects spans and hands them to send(batch) in batches of `batchSize`, or
+ * `flushMs` after the first one. Returns an exporter: { export, flush }.
+ */
+export function batched(send, { batchSize = 64, flushMs = 1000 } = {}) {
+  let pending = [];
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return Promise.resolve();
+    const batch = pending;
+    pending = [];
+    return Promise.resolve()
+      .then(() => send(batch))
+      .catch((err) => console.error(`tracing: could not export ${batch.length} spans: ${err.message}`));
+  }
+
+  function exportSpan(span) {
+    pending.push(span);
+    if (pending.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushMs);
+      timer.unref?.(); // never keeps the process alive
+    }
+  }
+
+  return { export: exportSpan, flush };
+}
+
+// OTLP over HTTP with JSON bodies, e.g. http://localhost:4318/v1/traces
+export function createOtlpExporter({ endpoint, headers = {}, serviceName, fetch = globalThis.fetch }) {
+  return batched(async (batch) => {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(toOtlp(batch, serviceName)),
+    });
+    await res.body?.cancel().catch(() => {});
+    if (!res.ok) throw new Error(`${endpoint} answered ${res.status}`);
+  });
+}
+
+// One JSON line per span on stdout, for debugging without a collector
+export function createConsoleExporter() {
+  return {
+    export(s) {
+      const span = {
+        name: s.name,
+        kind: s.kind,
+        traceId: s.traceId,
+        spanId: s.spanId,
+        parentSpanId: s.parentSpanId ?? undefined,
+        start: new Date(s.startTime).toISOString(),
+        durationMs: Math.round((s.endTime - s.startTime) * 1000) / 1000,
+        status: s.status.code === "unset" ? undefined : s.status,
+        attributes: s.attributes,
+        events: s.events.length ? s.events : undefined,
+      };
+      console.log(JSON.stringify({ span }));
+    },
+    flush: async () => {},
+  };
+}
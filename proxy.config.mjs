@@ -0,0 +1,42 @@
+// proxy.config.mjs — which upstream serves which requests
+//
+// Routes are matched by hostname and/or path prefix; the most specific match
+// wins (host before prefix-only, then longest prefix). Every key besides
+// `name`, `host`, `prefix` and `upstream` is optional — see lib/proxy/config.js
+// for the defaults.
+
+/** @type {import("./lib/proxy/config.js").ProxyConfig} */
+const proxyConfig = {
+  // Token buckets per user / API key (route-wide ones go on the route itself)
+  limits: {
+    backend: "memory", // "file" keeps buckets and daily quotas across restarts
+    user: { rate: "120/min", daily: 20_000 },
+    apiKey: { rate: "60/min" },
+  },
+  routes: [
+    {
+      name: "turnitin",
+      prefix: "/turnitin",
+      stripPrefix: true,
+      upstream: "https://ev.turnitin.com",
+      // Keep the stored cookie SHORT and specific: "session-id=...; legacy-session-id=...; cwr_u=..."
+      // Do NOT paste analytics cookies (ga, utm, hj, etc.)
+      credential: "turnitin",
+      cookieMode: "merge",
+      forwardSetCookie: true,
+      // auth/CDN flows often 404 on a missing trailing slash
+      retryTrailingSlash: true,
+      // shared account: keep the whole deployment well under upstream throttling
+      limits: { rate: "30/min", burst: 10 },
+    },
+    {
+      name: "chatgpt",
+      prefix: "/",
+      upstream: "https://chatgpt.com",
+      credential: "chatgpt",
+      timeout: 60_000,
+    },
+  ],
+};
+
+export default proxyConfig;
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// scripts/credentials.mjs — manage encrypted upstream credentials (npm run credentials -- <command>)
+
+import { parseArgs } from "node:util";
+import { createCredentialStore } from "../lib/proxy/node/credentials.js";
+import { dataFile } from "../lib/proxy/node/files.js";
+
+const USAGE = `Usage: npm run credentials -- <command>     (needs PROXY_MASTER_KEY)
+
+  list                                   names, versions and expiry (never values)
+  set <name> [--expires <date>]          create or rotate; value from --from-env <VAR> or stdin
+  remove <name>                          delete a credential
+  rotate-key                             re-encrypt everything with $PROXY_NEW_MASTER_KEY`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    expires: { type: "string" },
+    "from-env": { type: "string" },
+  },
+});
+
+const [command, name] = positionals;
+const store = createCredentialStore(dataFile("credentials.json"));
+
+async function readValue() {
+  if (values["from-env"]) return process.env[values["from-env"]] || "";
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8").trim();
+}
+
+function need(value) {
+  if (!value) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+switch (command) {
+  case "list":
+    for (const c of await store.list()) {
+      const expiry = c.expiresAt ? `${c.expired ? "EXPIRED" : "expires"} ${c.expiresAt}` : "no expiry";
+      console.log(`${c.name}\tv${c.version}\t${expiry}\trotated ${c.rotatedAt || "never"}`);
+    }
+    break;
+  case "set": {
+    need(name);
+    const meta = await store.set(name, await readValue(), { expiresAt: values.expires });
+    console.log(`Stored ${meta.name} (v${meta.version})`);
+    break;
+  }
+  case "remove":
+    need(name);
+    await store.remove(name);
+    console.log(`Removed ${name}`);
+    break;
+  case "rotate-key":
+    need(process.env.PROXY_NEW_MASTER_KEY);
+    await store.rotateMasterKey(process.env.PROXY_NEW_MASTER_KEY);
+    console.log("Re-encrypted; set PROXY_MASTER_KEY to the new key now");
+    break;
+  default:
+    console.error(USAGE);
+    process.exit(command ? 1 : 0);
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// scripts/users.mjs — manage proxy users and API keys (npm run users -- <command>)
+
+import { parseArgs } from "node:util";
+import { createUserStore } from "../lib/proxy/node/users.js";
+import { dataFile } from "../lib/proxy/node/files.js";
+
+const USAGE = `Usage: npm run users -- <command>
+
+  list                              users, roles and API key ids
+  add <name> [--role admin]         create a user (password from --password or $PROXY_USER_PASSWORD)
+  passwd <name>                     set a password (same sources as above)
+  role <name> <user|admin>          change a user's role
+  remove <name>                     delete a user and all of their keys
+  key:create <name> [label]         issue an API key (printed once)
+  key:revoke <id>                   revoke an API key`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    role: { type: "string", default: "user" },
+    password: { type: "string" },
+  },
+});
+
+const [command, ...args] = positionals;
+const store = createUserStore(dataFile("users.json"));
+const password = values.password ?? process.env.PROXY_USER_PASSWORD;
+
+function need(n) {
+  if (args.length < n) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+switch (command) {
+  case "list":
+    for (const u of await store.listUsers()) {
+      const keys = u.apiKeys.map((k) => k.id + (k.label ? ` (${k.label})` : ""));
+      console.log(`${u.name}\t${u.role}\tkeys: ${keys.join(", ") || "-"}`);
+    }
+    break;
+  case "add":
+    need(1);
+    await store.addUser(args[0], { role: values.role, password });
+    console.log(`Added ${args[0]} (${values.role})${password ? "" : " without a password"}`);
+    break;
+  case "passwd":
+    need(1);
+    if (!password) {
+      console.error("Pass --password or set PROXY_USER_PASSWORD");
+      process.exit(1);
+    }
+    await store.setPassword(args[0], password);
+    console.log(`Password updated for ${args[0]}`);
+    break;
+  case "role":
+    need(2);
+    await store.setRole(args[0], args[1]);
+    console.log(`${args[0]} is now ${args[1]}`);
+    break;
+  case "remove":
+    need(1);
+    await store.removeUser(args[0]);
+    console.log(`Removed ${args[0]}`);
+    break;
+  case "key:create": {
+    need(1);
+    const { id, key } = await store.createApiKey(args[0], args[1]);
+    console.log(`Key ${id} for ${args[0]} — store it now, it is not shown again:\n${key}`);
+    break;
+  }
+  case "key:revoke":
+    need(1);
+    console.log(`Revoked ${args[0]} (owner: ${await store.revokeApiKey(args[0])})`);
+    break;
+  default:
+    console.error(USAGE);
+    process.exit(command ? 1 : 0);
+}
@@ -0,0 +1,101 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, echo, redirect, setCookie } from "./helpers/upstream.js";
+import { createTestProxy, sessionCookie } from "./helpers/proxy.js";
+import { cookiesFor, putCookies } from "../lib/proxy/jar.js";
+
+describe("cookie handling", () => {
+  let upstream;
+  let t;
+  let alice;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/login": redirect(302, "/home", { headers: { "set-cookie": "sid=s1; Path=/; HttpOnly" } }),
+      "/home": setCookie(["pref=dark; Path=/", "lang=en; Path=/"], echo()),
+    });
+    const route = { upstream: upstream.origin, stripPrefix: true };
+    t = await createTestProxy({
+      auth: { required: true },
+      routes: [
+        { ...route, name: "inject", prefix: "/inject", credential: "site", cookieJar: false },
+        { ...route, name: "merge", prefix: "/merge", credential: "site", cookieMode: "merge", cookieJar: false },
+        { ...route, name: "forward", prefix: "/forward", forwardSetCookie: true, cookieJar: false },
+        { ...route, name: "jar", prefix: "/jar", forwardSetCookie: true },
+        { ...route, name: "missing", prefix: "/missing", credential: "nope" },
+      ],
+    });
+    await t.users.addUser("alice", { password: "alice-password" });
+    await t.credentials.set("site", "session-id=upstream-secret; theme=light");
+    alice = await sessionCookie("alice");
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("inject mode sends only the stored credential", async () => {
+    const res = await t.request("/inject/echo", { headers: { cookie: `${alice}; mine=1` } });
+    assert.equal(res.status, 200);
+    assert.equal(upstream.last("/echo").headers.cookie, "session-id=upstream-secret; theme=light");
+  });
+
+  test("merge mode adds browser cookies, minus the proxy session and tracking noise", async () => {
+    await t.request("/merge/echo", { headers: { cookie: `${alice}; mine=1; theme=dark; _ga=GA1.1` } });
+    const sent = upstream.last("/echo").headers.cookie;
+    assert.equal(sent, "mine=1; theme=light; session-id=upstream-secret");
+    assert.doesNotMatch(sent, /proxy_session/);
+  });
+
+  test("a missing credential is a 503 without contacting the upstream", async () => {
+    const before = upstream.requests.length;
+    const res = await t.request("/missing/echo", { headers: { cookie: alice } });
+    assert.equal(res.status, 503);
+    assert.match(await res.text(), /credential "nope" is missing/);
+    assert.equal(upstream.requests.length, before);
+  });
+
+  test("Set-Cookie reaches the browser only with forwardSetCookie", async () => {
+    const forwarded = await t.request("/forward/home", { headers: { cookie: alice } });
+    assert.deepEqual(forwarded.headers.getSetCookie(), ["pref=dark; Path=/", "lang=en; Path=/"]);
+
+    const dropped = await t.request("/inject/home", { headers: { cookie: alice } });
+    assert.deepEqual(dropped.headers.getSetCookie(), []);
+  });
+
+  test("the jar captures cookies on every redirect hop and replays them", async () => {
+    const res = await t.request("/jar/login", { headers: { cookie: alice } });
+    assert.equal(res.status, 200);
+    // Kept server-side, never handed to the browser
+    assert.deepEqual(res.headers.getSetCookie(), []);
+    assert.equal(upstream.last("/home").headers.cookie, "sid=s1");
+
+    await t.request("/jar/echo", { headers: { cookie: alice } });
+    assert.equal(upstream.last("/echo").headers.cookie, "sid=s1; pref=dark; lang=en");
+    const jar = await t.jars.list("alice");
+    assert.deepEqual(jar.map((c) => c.name).sort(), ["lang", "pref", "sid"]);
+  });
+
+  test("jars are per user", async () => {
+    await t.users.addUser("bob", { password: "bob-password" });
+    await t.request("/jar/echo", { headers: { cookie: await sessionCookie("bob") } });
+    assert.equal(upstream.last("/echo").headers.cookie, undefined);
+  });
+});
+
+test("cookies for a public suffix never reach other upstreams", () => {
+  const jar = putCookies(
+    [],
+    ["sid=turnitin-secret; Domain=com; Path=/", "uk=1; Domain=.co.uk", "ok=1; Domain=turnitin.com"],
+    "https://ev.turnitin.com/x"
+  );
+  assert.equal(cookiesFor(jar, "https://chatgpt.com/"), "");
+  assert.equal(cookiesFor(jar, "https://example.co.uk/"), "");
+  assert.equal(cookiesFor(jar, "https://www.turnitin.com/"), "ok=1");
+
+  // A host that is itself a public suffix keeps the cookie, host-only
+  const own = putCookies([], ["a=1; Domain=localhost"], "http://localhost/");
+  assert.equal(cookiesFor(own, "http://localhost/"), "a=1");
+  assert.equal(own[0].hostOnly, true);
+});
@@ -0,0 +1,141 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, json } from "./helpers/upstream.js";
+import { createTestProxy } from "./helpers/proxy.js";
+
+const preflight = (origin, method, headers = "") => ({
+  method: "OPTIONS",
+  headers: {
+    origin,
+    "access-control-request-method": method,
+    ...(headers && { "access-control-request-headers": headers }),
+  },
+});
+
+describe("CORS", () => {
+  let upstream;
+  let t;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/data": json(
+        { ok: true },
+        { headers: { "access-control-allow-origin": "*", "access-control-allow-methods": "*" } }
+      ),
+    });
+    t = await createTestProxy({
+      auth: { required: false },
+      cors: { origins: ["https://app.example", "https://*.tenant.example"] },
+      routes: [
+        {
+          name: "api",
+          prefix: "/api",
+          stripPrefix: true,
+          upstream: upstream.origin,
+          methods: ["GET", "POST", "OPTIONS"],
+          cors: { credentials: true, headers: ["content-type", "x-token"], exposeHeaders: ["x-request-id"] },
+        },
+        { name: "open", prefix: "/open", stripPrefix: true, upstream: upstream.origin, cors: { origins: ["*"] } },
+        { name: "upstream-cors", prefix: "/raw", stripPrefix: true, upstream: upstream.origin, cors: false },
+        { name: "guarded", prefix: "/guarded", stripPrefix: true, upstream: upstream.origin, auth: true },
+        {
+          name: "limited",
+          prefix: "/limited",
+          stripPrefix: true,
+          upstream: upstream.origin,
+          limits: { rate: "1/min", burst: 1 },
+          cors: { exposeHeaders: ["retry-after"] },
+        },
+      ],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("answers an allowed preflight itself", async () => {
+    const before = upstream.requests.length;
+    const res = await t.request("/api/data", preflight("https://app.example", "POST", "Content-Type, X-Token"));
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get("access-control-allow-origin"), "https://app.example");
+    assert.equal(res.headers.get("access-control-allow-credentials"), "true");
+    assert.equal(res.headers.get("access-control-allow-methods"), "GET, POST, OPTIONS");
+    assert.equal(res.headers.get("access-control-max-age"), "600");
+    assert.equal(upstream.requests.length, before);
+  });
+
+  test("matches wildcard origins", async () => {
+    const res = await t.request("/api/data", preflight("https://eu.tenant.example", "GET"));
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get("access-control-allow-origin"), "https://eu.tenant.example");
+  });
+
+  test("rejects preflights from other origins, for other methods or headers", async () => {
+    const cases = [
+      [preflight("https://evil.example", "GET"), /origin https:\/\/evil.example is not allowed/],
+      [preflight("https://app.example", "DELETE"), /method DELETE is not allowed/],
+      [preflight("https://app.example", "POST", "x-other"), /header\(s\) x-other not allowed/],
+    ];
+    for (const [init, message] of cases) {
+      const res = await t.request("/api/data", init);
+      assert.equal(res.status, 403);
+      assert.match(await res.text(), message);
+    }
+  });
+
+  test("replaces the upstream's CORS headers on actual responses", async () => {
+    const res = await t.request("/api/data", { headers: { origin: "https://app.example" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("access-control-allow-origin"), "https://app.example");
+    assert.equal(res.headers.get("access-control-allow-methods"), null);
+    assert.equal(res.headers.get("access-control-expose-headers"), "x-request-id");
+    assert.match(res.headers.get("vary"), /Origin/);
+
+    const denied = await t.request("/api/data", { headers: { origin: "https://evil.example" } });
+    assert.equal(denied.headers.get("access-control-allow-origin"), null);
+  });
+
+  test('origins "*" without credentials answers with "*"', async () => {
+    const res = await t.request("/open/data", { headers: { origin: "https://anyone.example" } });
+    assert.equal(res.headers.get("access-control-allow-origin"), "*");
+  });
+
+  test("the proxy's own answers carry the grant too", async () => {
+    const origin = { origin: "https://app.example" };
+    const anonymous = await t.request("/guarded/data", { headers: origin });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get("access-control-allow-origin"), "https://app.example");
+
+    const login = await t.request("/guarded/data", { headers: { ...origin, accept: "text/html" } });
+    assert.equal(login.status, 302);
+    assert.equal(login.headers.get("access-control-allow-origin"), "https://app.example");
+
+    await t.request("/limited/data", { headers: origin });
+    const limited = await t.request("/limited/data", { headers: origin });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get("access-control-allow-origin"), "https://app.example");
+    assert.equal(limited.headers.get("access-control-expose-headers"), "retry-after");
+    assert.ok(limited.headers.get("retry-after"));
+
+    const denied = await t.request("/guarded/data", { headers: { origin: "https://evil.example" } });
+    assert.equal(denied.headers.get("access-control-allow-origin"), null);
+  });
+
+  test("cors: false leaves CORS, preflights included, to the upstream", async () => {
+    const res = await t.request("/raw/data", preflight("https://evil.example", "GET"));
+    assert.equal(upstream.last("/data").method, "OPTIONS");
+    assert.equal(res.headers.get("access-control-allow-origin"), "*");
+  });
+});
+
+test('origins "*" with credentials is a config error', async () => {
+  await assert.rejects(
+    createTestProxy({
+      cors: { origins: ["*"], credentials: true },
+      routes: [{ name: "x", upstream: "http://127.0.0.1:1" }],
+    }),
+    /can't be combined with credentials/
+  );
+});
@@ -0,0 +1,79 @@
+// The proxy as middleware.js runs it: no user store, credential store or jars,
+// so whatever needs them continues to the Node route handler
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream } from "./helpers/upstream.js";
+import { createTestProxy, sessionCookie } from "./helpers/proxy.js";
+
+const deferred = (res) => res.headers.get("x-middleware-next") === "1";
+
+describe("edge middleware", () => {
+  let upstream;
+  let t;
+
+  before(async () => {
+    upstream = await createUpstream();
+    const route = { stripPrefix: true, upstream: upstream.origin };
+    t = await createTestProxy(
+      {
+        routes: [
+          { ...route, name: "public", prefix: "/public", auth: false },
+          { ...route, name: "private", prefix: "/private" },
+          { ...route, name: "credential", prefix: "/credential", auth: false, credential: "site" },
+          { ...route, name: "limited", prefix: "/limited", auth: false, limits: { rate: "10/min" } },
+          { ...route, name: "cached", prefix: "/cached", auth: false, cache: { ttl: 60 } },
+          { ...route, name: "redirecting", prefix: "/redirecting", auth: false, redirectHosts: ["cdn.example.com"] },
+          { name: "named", prefix: "/named", upstream: "http://upstream.example.com", auth: false },
+        ],
+      },
+      { runtime: "edge" }
+    );
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("proxies what it can handle itself", async () => {
+    const res = await t.request("/public/echo?x=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-proxied-by"), "vercel-edge-middleware");
+    assert.equal((await res.json()).url, "/echo?x=1");
+  });
+
+  test("rejects anonymous and forged sessions without the store", async () => {
+    assert.equal((await t.request("/private/echo")).status, 401);
+    const forged = await sessionCookie("alice", { secret: "not-the-secret" });
+    assert.equal((await t.request("/private/echo", { headers: { cookie: forged } })).status, 401);
+  });
+
+  test("defers plausible credentials to the Node runtime", async () => {
+    const session = await t.request("/private/echo", { headers: { cookie: await sessionCookie("alice") } });
+    assert.ok(deferred(session));
+    const bearer = await t.request("/private/echo", { headers: { authorization: "Bearer fsk_1234_secret" } });
+    assert.ok(deferred(bearer));
+  });
+
+  test("defers routes that need credentials, rate limits or the cache", async () => {
+    const before = upstream.requests.length;
+    for (const path of ["/credential/echo", "/limited/echo", "/cached/echo"]) {
+      assert.ok(deferred(await t.request(path)), path);
+    }
+    assert.equal(upstream.requests.length, before);
+  });
+
+  test("defers hostname upstreams and redirect hosts: only Node checks what they resolve to", async () => {
+    const before = upstream.requests.length;
+    for (const path of ["/named/echo", "/redirecting/echo"]) {
+      assert.ok(deferred(await t.request(path)), path);
+    }
+    assert.equal(upstream.requests.length, before);
+  });
+
+  test("deferred requests leave the audit record to the Node runtime", async () => {
+    const count = t.audit.records.length;
+    await t.request("/credential/echo");
+    assert.equal(t.audit.records.length, count);
+  });
+});
@@ -0,0 +1,256 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { gzipSync } from "node:zlib";
+import { createUpstream, echo, fail, json, redirect } from "./helpers/upstream.js";
+import { createTestProxy, sessionCookie } from "./helpers/proxy.js";
+import { createReplayer, emptyHar } from "../lib/proxy/har.js";
+import { createHarRecorder, loadHar } from "../lib/proxy/node/har-file.js";
+
+// Collects entries per session, like node/har-file.js minus the files
+function createMemoryRecorder() {
+  const sessions = new Map();
+  return {
+    sessions,
+    async write(session, entry) {
+      if (!sessions.has(session)) sessions.set(session, []);
+      sessions.get(session).push(entry);
+    },
+  };
+}
+
+// Entries are written once the response body has been read
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const header = (list, name) => list.find((h) => h.name === name)?.value;
+
+const CREDENTIAL = "session-id=upstream-secret-value";
+
+describe("HAR recording", () => {
+  let upstream;
+  let t;
+  let recorder;
+  let alice;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/login": redirect(302, "/home", { headers: { "set-cookie": "sid=s1-secret; Path=/; HttpOnly" } }),
+      "/home": json({ page: "home" }),
+      "/gzipped": (req, res) => {
+        res.writeHead(200, { "content-type": "text/plain", "content-encoding": "gzip" });
+        res.end(gzipSync("hello from upstream"));
+      },
+      "/down": fail(),
+    });
+    recorder = createMemoryRecorder();
+    t = await createTestProxy(
+      {
+        har: { mode: "record", routes: ["site"] },
+        audit: { redact: { headers: ["x-api-key"] } },
+        routes: [
+          { name: "site", prefix: "/site", stripPrefix: true, upstream: upstream.origin, credential: "site", retry: false },
+          { name: "other", prefix: "/other", stripPrefix: true, upstream: upstream.origin, auth: false },
+        ],
+      },
+      { recorder }
+    );
+    await t.users.addUser("alice", { password: "alice-password" });
+    await t.credentials.set("site", CREDENTIAL);
+    alice = await sessionCookie("alice");
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("records every hop, per proxy user", async () => {
+    const res = await t.request("/site/login?next=%2Fhome", { headers: { cookie: alice } });
+    assert.deepEqual(await res.json(), { page: "home" });
+    await settle();
+
+    const entries = recorder.sessions.get("alice");
+    assert.deepEqual(
+      entries.map((e) => [e.request.method, new URL(e.request.url).pathname, e.response.status]),
+      [
+        ["GET", "/login", 302],
+        ["GET", "/home", 200],
+      ]
+    );
+    const [hop, home] = entries;
+    assert.equal(hop._route, "site");
+    assert.equal(hop.response.redirectURL, "/home");
+    assert.deepEqual(hop.request.queryString, [{ name: "next", value: "/home" }]);
+    assert.deepEqual(JSON.parse(home.response.content.text), { page: "home" });
+    assert.equal(home.response.content.mimeType, "application/json");
+    assert.ok(home.time >= 0 && home.timings.wait >= 0);
+  });
+
+  test("masks cookies, credentials and redacted headers", async () => {
+    const basic = `Basic ${btoa("alice:alice-password")}`;
+    await t.request("/site/login", { headers: { authorization: basic, "x-api-key": "k-123456789" } });
+    await settle();
+
+    const [hop] = recorder.sessions.get("alice").slice(-2);
+    // The credential and alice's jar (sid, from the first login): names only
+    assert.equal(header(hop.request.headers, "cookie"), "session-id=[redacted]; sid=[redacted]");
+    assert.deepEqual(hop.request.cookies, [
+      { name: "session-id", value: "[redacted]" },
+      { name: "sid", value: "[redacted]" },
+    ]);
+    assert.equal(header(hop.request.headers, "authorization"), undefined); // the proxy's own
+    assert.equal(header(hop.request.headers, "x-api-key"), "[redacted]"); // audit.redact.headers
+    assert.equal(header(hop.response.headers, "set-cookie"), "sid=[redacted]; Path=/; HttpOnly");
+
+    const recorded = JSON.stringify([...recorder.sessions.values()]);
+    for (const secret of ["upstream-secret-value", "s1-secret", "alice-password", "k-123456789"]) {
+      assert.ok(!recorded.includes(secret), secret);
+    }
+  });
+
+  test("masks audit.redact body fields in request bodies", async () => {
+    await t.request("/site/echo", {
+      method: "POST",
+      headers: { cookie: alice, "content-type": "application/json" },
+      body: JSON.stringify({ user: "alice", password: "hunter2" }),
+    });
+    await settle();
+
+    const { request } = recorder.sessions.get("alice").at(-1);
+    assert.equal(request.bodySize, 37);
+    assert.deepEqual(JSON.parse(request.postData.text), { user: "alice", password: "[redacted]" });
+  });
+
+  test("stores encoded bodies decoded", async () => {
+    const res = await t.request("/site/gzipped", { headers: { cookie: alice, "accept-encoding": "gzip" } });
+    assert.equal(res.headers.get("content-encoding"), "gzip");
+    await res.arrayBuffer();
+    await settle();
+
+    const { response } = recorder.sessions.get("alice").at(-1);
+    assert.equal(response.content.text, "hello from upstream");
+    assert.equal(header(response.headers, "content-encoding"), "gzip");
+  });
+
+  test("records network errors as status 0", async () => {
+    const res = await t.request("/site/down", { headers: { cookie: alice } });
+    assert.equal(res.status, 502);
+    await settle();
+
+    const entry = recorder.sessions.get("alice").at(-1);
+    assert.equal(entry.response.status, 0);
+    assert.ok(entry._error.message);
+  });
+
+  test("only records the routes listed", async () => {
+    const before = [...recorder.sessions.values()].flat().length;
+    await t.request("/other/echo");
+    await settle();
+    assert.equal([...recorder.sessions.values()].flat().length, before);
+  });
+});
+
+describe("HAR replay", () => {
+  let har;
+
+  before(async () => {
+    const upstream = await createUpstream({
+      "/login": redirect(302, "/home"),
+      "/home": json({ page: "home" }),
+      "/down": fail(),
+    });
+    const recorder = createMemoryRecorder();
+    const live = await createTestProxy(
+      {
+        har: { mode: "record" },
+        routes: [{ name: "site", upstream: upstream.origin, auth: false, retry: false }],
+      },
+      { recorder }
+    );
+    for (const p of ["/login", "/echo?n=1", "/down"]) await (await live.request(p)).arrayBuffer();
+    await settle();
+    await live.close();
+    await upstream.close();
+    har = emptyHar(recorder.sessions.get("anonymous"));
+    // Replays need the recording's URLs only: the upstream above is gone
+    for (const entry of har.log.entries) {
+      entry.request.url = entry.request.url.replace(new URL(upstream.origin).host, "recorded.test");
+    }
+  });
+
+  const replaying = (options = {}) =>
+    createTestProxy(
+      {
+        har: { mode: "replay", file: "recorded.har" },
+        egress: { allow: ["recorded.test"] },
+        routes: [{ name: "site", upstream: "http://recorded.test", auth: false, retry: false }],
+      },
+      { replay: createReplayer(har), ...options }
+    );
+
+  test("serves recorded responses, redirects included, without the network", async () => {
+    const t = await replaying();
+    try {
+      const res = await t.request("/login");
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), { page: "home" });
+      assert.equal(res.headers.get("x-proxy-redirects"), "302 http://recorded.test/login");
+
+      const echoed = await (await t.request("/echo?n=1")).json();
+      assert.equal(echoed.url, "/echo?n=1");
+    } finally {
+      await t.close();
+    }
+  });
+
+  test("502 for requests nobody recorded, and for recorded network errors", async () => {
+    const t = await replaying();
+    try {
+      const missing = await t.request("/echo?n=2");
+      assert.equal(missing.status, 502);
+      assert.match(await missing.text(), /No recorded response for GET http:\/\/recorded.test\/echo\?n=2/);
+
+      assert.equal((await t.request("/down")).status, 502);
+    } finally {
+      await t.close();
+    }
+  });
+
+  test("the Edge middleware leaves recording and replay to the Node runtime", async () => {
+    const edge = await replaying({ runtime: "edge", replay: undefined });
+    try {
+      assert.equal((await edge.request("/login")).headers.get("x-middleware-next"), "1");
+    } finally {
+      await edge.close();
+    }
+  });
+});
+
+test("HAR files on disk: one per user and session, readable by loadHar()", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "proxy-har-"));
+  try {
+    const upstream = await createUpstream({ "/x": echo() });
+    const recorder = createHarRecorder(dir, { maxEntries: 2 });
+    const t = await createTestProxy(
+      { har: { mode: "record" }, routes: [{ name: "r", upstream: upstream.origin, auth: false }] },
+      { recorder }
+    );
+    for (let i = 0; i < 3; i++) await (await t.request(`/x?i=${i}`)).arrayBuffer();
+    await settle();
+    await t.close();
+    await upstream.close();
+
+    assert.deepEqual(await readdir(recorder.dir), ["anonymous.har"]);
+    const har = await loadHar(path.join(recorder.dir, "anonymous.har"));
+    assert.equal(har.log.version, "1.2");
+    // maxEntries keeps the newest
+    assert.deepEqual(
+      har.log.entries.map((e) => new URL(e.request.url).search),
+      ["?i=1", "?i=2"]
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
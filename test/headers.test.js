@@ -0,0 +1,161 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, echo, text } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+
+describe("header filtering", () => {
+  let upstream;
+  let t;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/noisy": text("ok", {
+        headers: {
+          server: "nginx/1.25",
+          "alt-svc": 'h3=":443"',
+          nel: "{}",
+          "report-to": "{}",
+          "x-powered-by": "PHP/8",
+          "x-request-id": "abc",
+          "x-internal-trace": "t-1",
+          "cache-control": "max-age=60",
+        },
+      }),
+    });
+    t = await createTestProxy({
+      ...OPEN,
+      routes: [
+        { name: "plain", prefix: "/plain", stripPrefix: true, upstream: upstream.origin },
+        {
+          name: "policy",
+          prefix: "/policy",
+          stripPrefix: true,
+          upstream: upstream.origin,
+          headers: {
+            request: {
+              deny: ["x-debug-*"],
+              rename: { "x-client-token": "x-api-token" },
+              set: { "x-forwarded-host": "${proxy.host}", "x-user": "${user.name}" },
+              append: { "x-route": "${route.name}" },
+            },
+            response: {
+              deny: ["x-powered-by", "x-internal-*"],
+              set: { "x-served-from": "${upstream.host}" },
+            },
+          },
+        },
+        {
+          name: "allowlist",
+          prefix: "/allowlist",
+          stripPrefix: true,
+          upstream: upstream.origin,
+          headers: { request: { allow: ["accept", "x-keep"] } },
+        },
+      ],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("drops hop-by-hop headers and the client's host", async () => {
+    const res = await t.request("/plain/echo", {
+      headers: { "keep-alive": "timeout=5", te: "trailers", "proxy-authorization": "Basic eDp5", "x-keep": "1" },
+    });
+    assert.equal(res.status, 200);
+    const seen = upstream.last("/echo").headers;
+    assert.equal(seen["keep-alive"], undefined);
+    assert.equal(seen.te, undefined);
+    assert.equal(seen["proxy-authorization"], undefined);
+    assert.equal(seen.host, new URL(upstream.origin).host);
+    assert.equal(seen["x-keep"], "1");
+  });
+
+  test("points Origin and Referer at the upstream and sets a user agent", async () => {
+    await t.request("/plain/echo", { headers: { origin: "https://app.example", referer: "https://app.example/x" } });
+    const seen = upstream.last("/echo").headers;
+    assert.equal(seen.origin, upstream.origin);
+    assert.equal(seen.referer, upstream.origin + "/");
+    assert.match(seen["user-agent"], /Mozilla/);
+  });
+
+  test("strips noisy upstream headers and adds the proxy's own", async () => {
+    const res = await t.request("/plain/noisy");
+    for (const name of ["server", "alt-svc", "nel", "report-to"]) {
+      assert.equal(res.headers.get(name), null, name);
+    }
+    assert.equal(res.headers.get("x-request-id"), "abc");
+    assert.equal(res.headers.get("cache-control"), "max-age=60");
+    assert.equal(res.headers.get("x-proxy-route"), "plain");
+    assert.equal(res.headers.get("x-proxy-target"), new URL(upstream.origin).host);
+    assert.equal(res.headers.get("x-proxied-by"), "next-node-runtime-proxy");
+  });
+
+  test("defaults cache-control to no-store", async () => {
+    const res = await t.request("/plain/echo");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+  });
+
+  test("applies the route's request policy", async () => {
+    await t.request("/policy/echo", {
+      headers: { "x-debug-level": "3", "x-debug": "1", "x-client-token": "tok", "x-route": "client" },
+    });
+    const seen = upstream.last("/echo").headers;
+    assert.equal(seen["x-debug-level"], undefined);
+    assert.equal(seen["x-debug"], "1"); // "x-debug-*" needs the dash
+    assert.equal(seen["x-client-token"], undefined);
+    assert.equal(seen["x-api-token"], "tok");
+    assert.equal(seen["x-forwarded-host"], "proxy.test");
+    assert.equal(seen["x-user"], "");
+    assert.equal(seen["x-route"], "client, policy");
+  });
+
+  test("applies the route's response policy", async () => {
+    const res = await t.request("/policy/noisy");
+    assert.equal(res.headers.get("x-powered-by"), null);
+    assert.equal(res.headers.get("x-internal-trace"), null);
+    assert.equal(res.headers.get("x-request-id"), "abc");
+    assert.equal(res.headers.get("x-served-from"), new URL(upstream.origin).host);
+  });
+
+  test("an allowlist forwards nothing else", async () => {
+    await t.request("/allowlist/echo", { headers: { accept: "text/html", "x-keep": "1", "x-other": "2" } });
+    const seen = upstream.last("/echo").headers;
+    assert.equal(seen.accept, "text/html");
+    assert.equal(seen["x-keep"], "1");
+    assert.equal(seen["x-other"], undefined);
+    assert.equal(seen["user-agent"], undefined);
+  });
+
+  test("forwards method, query and body", async () => {
+    const res = await t.request("/plain/echo?q=1&r=two", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ hello: "world" }),
+    });
+    const seen = await res.json();
+    assert.equal(seen.method, "POST");
+    assert.equal(seen.url, "/echo?q=1&r=two");
+    assert.deepEqual(JSON.parse(seen.body), { hello: "world" });
+  });
+});
+
+test("routes strip their prefix only when asked", async () => {
+  const upstream = await createUpstream({ "/api/x": echo(), "/x": echo() });
+  const t = await createTestProxy({
+    ...OPEN,
+    routes: [
+      { name: "kept", prefix: "/api", upstream: upstream.origin },
+      { name: "stripped", prefix: "/short", stripPrefix: true, upstream: upstream.origin },
+    ],
+  });
+  try {
+    assert.equal((await (await t.request("/api/x")).json()).url, "/api/x");
+    assert.equal((await (await t.request("/short/x")).json()).url, "/x");
+  } finally {
+    await t.close();
+    await upstream.close();
+  }
+});
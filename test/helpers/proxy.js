@@ -0,0 +1,111 @@
+// test/helpers/proxy.js — the proxy core wired the way the app wires it
+//
+// createTestProxy(config) builds what app/[[...path]]/route.js builds (Node
+// runtime: user and credential stores, jars, limiter, cache, the raw transport
+// and zlib codecs), with the stores in a temp directory instead of
+// PROXY_DATA_DIR. With { runtime: "edge" } it builds what middleware.js builds
+// instead: no stores, Web codecs, and deferral to the Node runtime, which shows
+// up as an `x-middleware-next` response (what NextResponse.next() returns).
+// Any other option is passed on to createProxy() (a HAR recorder, say).
+//
+// The config is passed in, never read from proxy.config.mjs, so the tests only
+// ever talk to local upstreams. 127.0.0.1 is allowed as an egress target unless
+// the config says otherwise.
+
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createProxy } from "../../lib/proxy/core.js";
+import { normalizeConfig } from "../../lib/proxy/config.js";
+import { createAuthenticator, signSession } from "../../lib/proxy/auth.js";
+import { createLimiter } from "../../lib/proxy/ratelimit.js";
+import { createCache } from "../../lib/proxy/cache.js";
+import { createEgressPolicy } from "../../lib/proxy/egress.js";
+import { createUserStore } from "../../lib/proxy/node/users.js";
+import { createCredentialStore } from "../../lib/proxy/node/credentials.js";
+import { createJarStore } from "../../lib/proxy/node/jars.js";
+import { createRawFetch } from "../../lib/proxy/node/transport.js";
+import { guardedLookup } from "../../lib/proxy/node/egress.js";
+import { nodeCodecs } from "../../lib/proxy/node/codecs.js";
+
+export const PROXY_ORIGIN = "http://proxy.test";
+export const SECRET = "test-session-secret";
+
+// Collects audit records in memory
+export function createMemorySink() {
+  const records = [];
+  return {
+    records,
+    async write(record) {
+      records.push(record);
+    },
+  };
+}
+
+export async function createTestProxy(config, { runtime = "node", ...options } = {}) {
+  const full = { ...config, egress: config.egress ?? { allow: ["127.0.0.1"] } };
+  const normalized = normalizeConfig(full);
+  const dir = await mkdtemp(path.join(tmpdir(), "proxy-test-"));
+  const audit = createMemorySink();
+
+  let services = {};
+  let proxy;
+  if (runtime === "edge") {
+    const authenticator = createAuthenticator({ auth: normalized.auth, secret: SECRET });
+    proxy = createProxy({
+      config: full,
+      via: "vercel-edge-middleware",
+      authenticate: authenticator.authenticate,
+      defer: () => new Response(null, { headers: { "x-middleware-next": "1" } }),
+      audit,
+      ...options,
+    });
+  } else {
+    services = {
+      users: createUserStore(path.join(dir, "users.json")),
+      credentials: createCredentialStore(path.join(dir, "credentials.json"), {
+        masterKey: "test-master-key",
+      }),
+      jars: createJarStore(path.join(dir, "jars")),
+    };
+    const authenticator = createAuthenticator({
+      auth: normalized.auth,
+      secret: SECRET,
+      store: services.users,
+    });
+    proxy = createProxy({
+      config: full,
+      via: "next-node-runtime-proxy",
+      authenticate: authenticator.authenticate,
+      credentials: services.credentials,
+      jars: services.jars,
+      limiter: createLimiter({ limits: normalized.limits }),
+      audit,
+      cache: createCache(),
+      fetch: createRawFetch({ lookup: guardedLookup(createEgressPolicy(normalized.egress)) }),
+      guardedTransport: true,
+      codecs: nodeCodecs,
+      ...options,
+    });
+  }
+
+  return {
+    ...services,
+    proxy,
+    audit,
+    // proxy.handle() for a path (or absolute URL) on the proxy
+    request(url, init = {}) {
+      return proxy.handle(new Request(new URL(url, PROXY_ORIGIN), init));
+    },
+    close: () => rm(dir, { recursive: true, force: true }),
+  };
+}
+
+// Cookie header carrying a proxy session for `user` (forged with another `secret`)
+export async function sessionCookie(user, { role = "user", secret = SECRET } = {}) {
+  const token = await signSession({ name: user, role }, { secret, ttl: 3600 });
+  return `proxy_session=${token}`;
+}
+
+// Spread into configs whose routes don't test authentication
+export const OPEN = { auth: { required: false } };
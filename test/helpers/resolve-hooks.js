@@ -0,0 +1,24 @@
+// test/helpers/resolve-hooks.js — module resolution the way Next's bundler does it
+//
+// Registered by tests that import app code (middleware.js, route handlers)
+// directly: "@/lib/..." comes from jsconfig.json's paths, and extensionless
+// specifiers ("@/lib/proxy/core", "next/server") get ".js" or "/index.js".
+
+const ROOT = new URL("../../", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  const target = specifier.startsWith("@/") ? new URL(specifier.slice(2), ROOT).href : specifier;
+  try {
+    return await nextResolve(target, context);
+  } catch (err) {
+    if (err?.code !== "ERR_MODULE_NOT_FOUND" || /\.[cm]?js$/.test(target)) throw err;
+    for (const suffix of [".js", "/index.js"]) {
+      try {
+        return await nextResolve(target + suffix, context);
+      } catch {
+        // try the next one
+      }
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,134 @@
+// test/helpers/upstream.js — a local upstream for the integration tests
+//
+// createUpstream({ "/path": handler, "POST /path": handler }) listens on
+// 127.0.0.1 with a random port. Handlers get Node's (req, res) plus the request
+// body as text; unknown paths echo the request back as JSON. Every request is
+// recorded in `requests` so tests can check what the proxy actually sent.
+
+import http from "node:http";
+
+export async function createUpstream(routes = {}) {
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString("utf8");
+    const { pathname } = new URL(req.url, "http://upstream");
+    requests.push({ method: req.method, url: req.url, path: pathname, headers: req.headers, body });
+
+    const handler = routes[`${req.method} ${pathname}`] || routes[pathname] || echo();
+    try {
+      await handler(req, res, body);
+    } catch (err) {
+      if (!res.headersSent) res.writeHead(500, { "content-type": "text/plain" });
+      res.end(String(err?.message || err));
+    }
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    requests,
+    // The last request the upstream saw for `path` (any path when omitted)
+    last(path) {
+      const matching = path ? requests.filter((r) => r.path === path) : requests;
+      return matching.at(-1);
+    },
+    close() {
+      // Keep-alive connections from the proxy's agent would hold close() open
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Responders — each returns a handler for createUpstream()
+
+// With a Content-Length, like most servers send for a body they have in full
+export function text(value, { status = 200, headers = {} } = {}) {
+  return (req, res) => {
+    res.writeHead(status, {
+      "content-type": "text/plain; charset=utf-8",
+      "content-length": Buffer.byteLength(value),
+      ...headers,
+    });
+    res.end(value);
+  };
+}
+
+export function json(value, { status = 200, headers = {} } = {}) {
+  return text(JSON.stringify(value), { status, headers: { "content-type": "application/json", ...headers } });
+}
+
+// The request as the upstream saw it: { method, url, headers, body }
+export function echo({ status = 200, headers = {} } = {}) {
+  return (req, res, body) => {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body }));
+  };
+}
+
+// `location` may be relative; `headers` can carry Set-Cookie for the hop
+export function redirect(status, location, { headers = {} } = {}) {
+  return (req, res) => {
+    res.writeHead(status, { location, ...headers });
+    res.end();
+  };
+}
+
+// Set-Cookie as an array gives one header line per cookie
+export function setCookie(cookies, then = json({ ok: true })) {
+  return (req, res, body) => {
+    res.setHeader("set-cookie", cookies);
+    return then(req, res, body);
+  };
+}
+
+// `events` are strings (data only) or { id, event, data }; `gap` ms between them
+export function sse(events, { gap = 10, headers = {} } = {}) {
+  return async (req, res) => {
+    res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache", ...headers });
+    for (const e of events) {
+      const { id, event, data } = typeof e === "string" ? { data: e } : e;
+      let frame = "";
+      if (id !== undefined) frame += `id: ${id}\n`;
+      if (event) frame += `event: ${event}\n`;
+      res.write(`${frame}data: ${data}\n\n`);
+      await delay(gap);
+    }
+    res.end();
+  };
+}
+
+// Waits `ms` before answering with `then` (a client or timeout may give up first)
+export function slow(ms, then = json({ ok: true })) {
+  return async (req, res, body) => {
+    await delay(ms);
+    if (!res.destroyed) return then(req, res, body);
+  };
+}
+
+// Drops the connection without a response: a network error for the proxy
+export function fail() {
+  return (req) => {
+    req.socket.destroy();
+  };
+}
+
+// Answers with the handlers in turn, the last one for every request after that
+export function sequence(...handlers) {
+  let n = 0;
+  return (req, res, body) => handlers[Math.min(n++, handlers.length - 1)](req, res, body);
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
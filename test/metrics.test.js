@@ -0,0 +1,104 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, delay, fail, json, slow, sse } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+import { createMetrics } from "../lib/proxy/metrics.js";
+
+// The value of one series in the exposition, e.g. sample(text, 'proxy_requests_total{route="a"}')
+function sample(text, series) {
+  const line = text.split("\n").find((l) => l.startsWith(series + " "));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe("metrics", () => {
+  let upstream;
+  let t;
+  let metrics;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/data": json({ ok: true }),
+      "/slow": slow(1_000),
+      "/down": fail(),
+      "/events": sse(["one", "two"], { gap: 50 }),
+    });
+    metrics = createMetrics();
+    const route = { stripPrefix: true, upstream: upstream.origin, retry: false };
+    t = await createTestProxy(
+      {
+        ...OPEN,
+        breaker: { enabled: false },
+        routes: [
+          { ...route, name: "api", prefix: "/api", timeout: 200 },
+          { ...route, name: "cached", prefix: "/cached", cache: { ttl: 60 } },
+          { ...route, name: "limited", prefix: "/limited", limits: { rate: "1/min", burst: 1 } },
+          { ...route, name: "sse", prefix: "/sse" },
+        ],
+      },
+      { metrics }
+    );
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("counts requests by route, method and status class, with latency", async () => {
+    for (let i = 0; i < 2; i++) await (await t.request("/api/data")).arrayBuffer();
+    await (await t.request("/nowhere")).arrayBuffer();
+
+    const text = metrics.text();
+    assert.equal(sample(text, 'proxy_requests_total{route="api",method="GET",status="2xx"}'), 2);
+    assert.equal(sample(text, 'proxy_requests_total{route="none",method="GET",status="4xx"}'), 1);
+    const labels = 'route="api",method="GET",status="2xx"';
+    assert.equal(sample(text, `proxy_request_duration_seconds_bucket{${labels},le="+Inf"}`), 2);
+    assert.equal(sample(text, `proxy_request_duration_seconds_count{${labels}}`), 2);
+    assert.ok(sample(text, `proxy_request_duration_seconds_sum{${labels}}`) > 0);
+    assert.match(text, /# TYPE proxy_request_duration_seconds histogram/);
+  });
+
+  test("counts upstream timeouts and errors", async () => {
+    assert.equal((await t.request("/api/slow")).status, 504);
+    assert.equal((await t.request("/api/down")).status, 502);
+
+    const text = metrics.text();
+    assert.equal(sample(text, 'proxy_upstream_errors_total{route="api",reason="timeout"}'), 1);
+    assert.equal(sample(text, 'proxy_upstream_errors_total{route="api",reason="error"}'), 1);
+    assert.equal(sample(text, 'proxy_requests_total{route="api",method="GET",status="5xx"}'), 2);
+  });
+
+  test("counts bytes in and out once the body is sent", async () => {
+    const res = await t.request("/api/echo", { method: "POST", body: "x".repeat(10) });
+    const body = await res.arrayBuffer();
+    await delay(10);
+
+    const text = metrics.text();
+    assert.equal(sample(text, 'proxy_request_bytes_total{route="api"}'), 10);
+    assert.ok(sample(text, 'proxy_response_bytes_total{route="api"}') >= body.byteLength);
+  });
+
+  test("tracks open event streams", async () => {
+    const res = await t.request("/sse/events", { headers: { accept: "text/event-stream" } });
+    assert.equal(sample(metrics.text(), 'proxy_sse_streams_open{route="sse"}'), 1);
+    await res.text();
+    await delay(10);
+    assert.equal(sample(metrics.text(), 'proxy_sse_streams_open{route="sse"}'), 0);
+  });
+
+  test("reports cache results and the hit ratio", async () => {
+    for (let i = 0; i < 4; i++) await (await t.request("/cached/data")).arrayBuffer();
+
+    const text = metrics.text();
+    assert.equal(sample(text, 'proxy_cache_requests_total{route="cached",result="MISS"}'), 1);
+    assert.equal(sample(text, 'proxy_cache_requests_total{route="cached",result="HIT"}'), 3);
+    assert.equal(sample(text, 'proxy_cache_hit_ratio{route="cached"}'), 0.75);
+  });
+
+  test("counts rate-limit rejections", async () => {
+    const statuses = [];
+    for (let i = 0; i < 2; i++) statuses.push((await t.request("/limited/data")).status);
+    assert.deepEqual(statuses, [200, 429]);
+    assert.equal(sample(metrics.text(), 'proxy_rate_limit_rejections_total{route="limited",limit="rate"}'), 1);
+  });
+});
@@ -0,0 +1,53 @@
+// middleware.js itself, with the shipped proxy.config.mjs: what it leaves to
+// Next, what it hands to the Node route handler and what it answers itself
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { SECRET, sessionCookie } from "./helpers/proxy.js";
+
+let middleware;
+let config;
+
+before(async () => {
+  register("./helpers/resolve-hooks.js", import.meta.url);
+  process.env.PROXY_SESSION_SECRET = SECRET;
+  ({ middleware, config } = await import("../middleware.js"));
+});
+
+const run = (path, init) => middleware(new Request(new URL(path, "http://proxy.test"), init));
+const continued = (res) => res.headers.get("x-middleware-next") === "1";
+
+test("leaves Next internals and the proxy's own pages to Next", async () => {
+  for (const path of ["/_next/static/chunk.js", "/__proxy", "/__proxy/login?next=/", "/favicon.ico", "/robots.txt"]) {
+    const res = await run(path);
+    assert.ok(continued(res), path);
+    assert.equal(res.headers.get("x-proxied-by"), null, path);
+  }
+  // Paths that only look like them are proxied
+  assert.ok(!continued(await run("/__proxyish")));
+});
+
+test("hands every method but GET, HEAD and OPTIONS to the Node route handler", async () => {
+  for (const method of ["POST", "PUT", "PATCH", "DELETE"]) {
+    // Before the auth gate: the route handler checks credentials against the store
+    const res = await run("/turnitin/api", { method, body: "x" });
+    assert.ok(continued(res), method);
+  }
+});
+
+test("answers anonymous GETs itself and defers plausible sessions", async () => {
+  const anonymous = await run("/turnitin/api");
+  assert.equal(anonymous.status, 401);
+  assert.ok(!continued(anonymous));
+
+  const session = await run("/turnitin/api", { headers: { cookie: await sessionCookie("alice") } });
+  assert.ok(continued(session));
+});
+
+test("the matcher skips static files before the middleware runs", () => {
+  const [matcher] = config.matcher;
+  const matches = (path) => new RegExp(`^${matcher}$`).test(path);
+  assert.ok(matches("/turnitin/api"));
+  assert.ok(!matches("/_next/static/chunk.js"));
+  assert.ok(!matches("/favicon.ico"));
+});
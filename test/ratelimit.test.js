@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter, createMemoryBackend } from "../lib/proxy/ratelimit.js";
+
+// A backend whose every call yields, so concurrent checks interleave the way
+// they do against the file backend under load
+function createYieldingBackend() {
+  const inner = createMemoryBackend();
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  return {
+    async get(key) {
+      await tick();
+      return inner.get(key);
+    },
+    async update(key, fn) {
+      await tick();
+      return inner.update(key, fn);
+    },
+  };
+}
+
+test("concurrent requests can't both take a bucket's last token", async () => {
+  const backend = createYieldingBackend();
+  const limiter = createLimiter({ limits: { user: { rate: "1/min" } }, backend });
+  const route = { name: "r", limits: { rate: "1/min" } };
+  const as = (name) => ({ user: { name } });
+
+  const [alice, bob] = await Promise.all([limiter.check(as("alice"), route), limiter.check(as("bob"), route)]);
+  assert.deepEqual([alice.allowed, bob.allowed], [true, false]);
+  assert.equal(bob.bucket, "route:r");
+
+  // Bob's own bucket got its token back
+  const bobUsage = await limiter.usage("user:bob", { capacity: 1, refillPerMs: 1 / 60_000, daily: null });
+  assert.equal(bobUsage.remaining, 1);
+});
@@ -0,0 +1,132 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, echo, redirect } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+
+describe("redirects", () => {
+  let upstream;
+  let other;
+  let t;
+
+  before(async () => {
+    // A second upstream on another origin (same IP, other port)
+    other = await createUpstream();
+    upstream = await createUpstream({
+      "/a": redirect(302, "/b"),
+      "/b": redirect(301, "/echo"),
+      "POST /see-other": redirect(303, "/echo"),
+      "POST /found": redirect(302, "/echo"),
+      "POST /temporary": redirect(307, "/echo"),
+      "/loop": redirect(302, "/loop2"),
+      "/loop2": redirect(302, "/loop"),
+      "/chain": redirect(302, "/chain1"),
+      "/chain1": redirect(302, "/chain2"),
+      "/chain2": redirect(302, "/chain3"),
+      "/chain3": redirect(302, "/echo"),
+      "/away": redirect(302, `${other.origin}/landing`),
+      "/absolute": (req, res) => redirect(302, `${upstream.origin}/b`)(req, res),
+      "/metadata": redirect(302, "http://169.254.169.254/latest/meta-data/"),
+    });
+    const route = { stripPrefix: true, upstream: upstream.origin };
+    t = await createTestProxy({
+      ...OPEN,
+      routes: [
+        { ...route, name: "main", prefix: "/main", maxRedirects: 3 },
+        { ...route, name: "manual", prefix: "/manual", followRedirects: false },
+        { ...route, name: "raw", prefix: "/raw", followRedirects: false, rewrite: false },
+        { ...route, name: "trusting", prefix: "/trusting", redirectHosts: ["127.0.0.1"] },
+        { name: "other", prefix: "/other", stripPrefix: true, upstream: other.origin },
+      ],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+    await other.close();
+  });
+
+  test("follows same-origin hops and reports them", async () => {
+    const res = await t.request("/main/a");
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).url, "/echo");
+    const hops = res.headers.get("x-proxy-redirects");
+    assert.equal(hops, `302 ${upstream.origin}/a, 301 ${upstream.origin}/b`);
+    assert.deepEqual(
+      t.audit.records.at(-1).redirects.map((r) => r.status),
+      [302, 301]
+    );
+  });
+
+  test("303, and 302 after a POST, continue as a GET without the body", async () => {
+    for (const path of ["/main/see-other", "/main/found"]) {
+      const res = await t.request(path, { method: "POST", body: "payload" });
+      const seen = await res.json();
+      assert.equal(seen.method, "GET", path);
+      assert.equal(seen.body, "", path);
+    }
+  });
+
+  test("a 307 with a streamed body goes back to the client", async () => {
+    const res = await t.request("/main/temporary", { method: "POST", body: "payload" });
+    assert.equal(res.status, 307);
+    assert.equal(res.headers.get("location"), "/main/echo");
+  });
+
+  test("loops and long chains end in a 508", async () => {
+    const loop = await t.request("/main/loop");
+    assert.equal(loop.status, 508);
+    assert.match(await loop.text(), /Redirect loop detected/);
+
+    const chain = await t.request("/main/chain");
+    assert.equal(chain.status, 508);
+    assert.match(await chain.text(), /more than 3/);
+  });
+
+  test("followRedirects: false hands every redirect to the client, rewritten", async () => {
+    const res = await t.request("/manual/a");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "/manual/b");
+  });
+
+  test("redirects handed back are rewritten even with rewrite: false", async () => {
+    const relative = await t.request("/raw/a");
+    assert.equal(relative.headers.get("location"), "/raw/b");
+    const absolute = await t.request("/raw/absolute");
+    assert.equal(absolute.headers.get("location"), "http://proxy.test/raw/b");
+  });
+
+  test("another origin is handed back, pointing at the route that serves it", async () => {
+    const res = await t.request("/main/away");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "http://proxy.test/other/landing");
+    assert.equal(other.requests.length, 0);
+  });
+
+  test("redirectHosts lets the proxy follow, without the cookie", async () => {
+    const res = await t.request("/trusting/away", { headers: { cookie: "a=1", authorization: "Bearer x" } });
+    assert.equal(res.status, 200);
+    const landing = other.last("/landing");
+    assert.equal(landing.headers.cookie, undefined);
+    assert.equal(landing.headers.authorization, undefined);
+  });
+
+  test("never follows into blocked address ranges", async () => {
+    const res = await t.request("/trusting/metadata");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "http://169.254.169.254/latest/meta-data/");
+  });
+});
+
+test("the client gets the last hop's headers, not the redirect's", async () => {
+  const upstream = await createUpstream({ "/go": redirect(302, "/echo"), "/echo": echo({ headers: { "x-hop": "final" } }) });
+  const t = await createTestProxy({ ...OPEN, routes: [{ name: "r", upstream: upstream.origin }] });
+  try {
+    const res = await t.request("/go");
+    assert.equal(res.headers.get("x-hop"), "final");
+    assert.equal(res.headers.get("location"), null);
+  } finally {
+    await t.close();
+    await upstream.close();
+  }
+});
@@ -0,0 +1,96 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createUpstream, delay, redirect, text } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+
+describe("URL rewriting", () => {
+  let upstream;
+  let other;
+  let t;
+
+  before(async () => {
+    other = await createUpstream();
+    // Pages that link to their own origin, known once the server listens
+    const page = (body, type) => (req, res) =>
+      text(body(upstream.origin), { headers: { "content-type": type } })(req, res);
+    upstream = await createUpstream({
+      "/page.html": page(
+        (o) =>
+          `<a href="${o}/docs">docs</a><img src="/logo.png" srcset="/a.png 1x, /b.png 2x">` +
+          `<a href="${other.origin}/x">other</a><a href="https://elsewhere.example/y">away</a>`,
+        "text/html; charset=utf-8"
+      ),
+      "/style.css": page(() => "body { background: url(/img/bg.png) }", "text/css"),
+      // As JSON-escaped in scripts: http:\/\/host\/api
+      "/app.js": page((o) => `var api = "${`${o}/api`.replaceAll("/", "\\/")}";`, "application/javascript"),
+      "/data.json": page((o) => JSON.stringify({ next: `${o}/docs` }), "application/json"),
+      "/created": (req, res) => {
+        res.writeHead(201, { location: `${upstream.origin}/items/1`, "content-location": `${upstream.origin}/items/1` });
+        res.end();
+      },
+      "/moved": (req, res) => redirect(302, `${upstream.origin}/docs`)(req, res),
+      // A URL cut in two by the chunk boundary
+      "/split.html": async (req, res) => {
+        res.writeHead(200, { "content-type": "text/html" });
+        const link = `<a href="${upstream.origin}/docs">docs</a>\n`;
+        res.write(link.slice(0, 20));
+        await delay(20);
+        res.end(link.slice(20));
+      },
+    });
+    const route = { stripPrefix: true, upstream: upstream.origin, followRedirects: false };
+    t = await createTestProxy({
+      ...OPEN,
+      routes: [
+        { ...route, name: "site", prefix: "/site" },
+        { ...route, name: "raw", prefix: "/raw", rewrite: false },
+        { name: "other", prefix: "/other", stripPrefix: true, upstream: other.origin },
+      ],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+    await other.close();
+  });
+
+  const body = async (path) => (await t.request(path)).text();
+
+  test("HTML links point back at the proxy, through whichever route serves them", async () => {
+    const html = await body("/site/page.html");
+    assert.match(html, /<a href="http:\/\/proxy\.test\/site\/docs">/);
+    assert.match(html, /<img src="\/site\/logo\.png" srcset="\/site\/a\.png 1x, \/site\/b\.png 2x">/);
+    assert.match(html, /<a href="http:\/\/proxy\.test\/other\/x">/);
+    // Hosts no route serves are left alone
+    assert.match(html, /<a href="https:\/\/elsewhere\.example\/y">/);
+  });
+
+  test("CSS url() and escaped URLs in scripts", async () => {
+    assert.equal(await body("/site/style.css"), "body { background: url(/site/img/bg.png) }");
+    assert.equal(await body("/site/app.js"), 'var api = "http:\\/\\/proxy.test\\/site\\/api";');
+  });
+
+  test("other content types pass through untouched", async () => {
+    const json = JSON.parse(await body("/site/data.json"));
+    assert.equal(json.next, `${upstream.origin}/docs`);
+  });
+
+  test("Location and Content-Location headers", async () => {
+    const res = await t.request("/site/created");
+    assert.equal(res.headers.get("location"), "http://proxy.test/site/items/1");
+    assert.equal(res.headers.get("content-location"), "http://proxy.test/site/items/1");
+  });
+
+  test("URLs split across chunks are still rewritten", async () => {
+    assert.equal(await body("/site/split.html"), '<a href="http://proxy.test/site/docs">docs</a>\n');
+  });
+
+  test("rewrite: false leaves bodies and headers alone, except redirects", async () => {
+    assert.match(await body("/raw/page.html"), new RegExp(`<a href="${upstream.origin}/docs">`));
+    const created = await t.request("/raw/created");
+    assert.equal(created.headers.get("location"), `${upstream.origin}/items/1`);
+    const moved = await t.request("/raw/moved");
+    assert.equal(moved.headers.get("location"), "http://proxy.test/raw/docs");
+  });
+});
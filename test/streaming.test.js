@@ -0,0 +1,112 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { gunzipSync, gzipSync, brotliDecompressSync } from "node:zlib";
+import { createUpstream, delay, sse, text } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+
+const LARGE = JSON.stringify({ items: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `item ${i}` })) });
+
+describe("event streams", () => {
+  let upstream;
+  let t;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/events": sse([{ id: "1", event: "tick", data: "one" }, { id: "2", data: "two" }, "three"], { gap: 100 }),
+    });
+    t = await createTestProxy({
+      ...OPEN,
+      routes: [{ name: "sse", upstream: upstream.origin }],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("forwards events as they arrive, untouched and uncompressed", async () => {
+    const started = Date.now();
+    const res = await t.request("/events", { headers: { accept: "text/event-stream", "accept-encoding": "gzip, br" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "text/event-stream");
+    assert.equal(res.headers.get("x-accel-buffering"), "no");
+    assert.equal(res.headers.get("content-encoding"), null);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const first = decoder.decode((await reader.read()).value);
+    // The first event shows up long before the upstream is done (3 x 100ms)
+    assert.ok(Date.now() - started < 200, "first event was held back");
+    assert.equal(first, "id: 1\nevent: tick\ndata: one\n\n");
+
+    let rest = "";
+    for (let chunk; !(chunk = await reader.read()).done; ) rest += decoder.decode(chunk.value);
+    assert.equal(rest, "id: 2\ndata: two\n\ndata: three\n\n");
+
+    await delay(10); // the audit record is written once the body is done
+    const { sse: stats } = t.audit.records.at(-1);
+    assert.equal(stats.events, 3);
+    assert.equal(stats.lastEventId, "2");
+  });
+});
+
+describe("compression", () => {
+  let upstream;
+  let t;
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/large": text(LARGE, { headers: { "content-type": "application/json", etag: '"v1"' } }),
+      "/small": text("tiny", { headers: { "content-type": "application/json" } }),
+      "/image": text(LARGE, { headers: { "content-type": "image/png" } }),
+      "/gzipped": (req, res) => {
+        res.writeHead(200, { "content-type": "application/json", "content-encoding": "gzip" });
+        res.end(gzipSync(LARGE));
+      },
+    });
+    t = await createTestProxy({
+      ...OPEN,
+      routes: [{ name: "files", upstream: upstream.origin }],
+    });
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  const bytes = async (res) => Buffer.from(await res.arrayBuffer());
+
+  test("compresses with the client's preferred encoding", async () => {
+    const res = await t.request("/large", { headers: { "accept-encoding": "gzip;q=0.5, br" } });
+    assert.equal(res.headers.get("content-encoding"), "br");
+    assert.match(res.headers.get("vary"), /Accept-Encoding/);
+    assert.equal(res.headers.get("etag"), 'W/"v1"');
+    assert.equal(brotliDecompressSync(await bytes(res)).toString(), LARGE);
+  });
+
+  test("leaves small bodies, other types and clients without Accept-Encoding alone", async () => {
+    for (const [path, headers] of [
+      ["/small", { "accept-encoding": "gzip" }],
+      ["/image", { "accept-encoding": "gzip" }],
+      ["/large", {}],
+    ]) {
+      const res = await t.request(path, { headers });
+      assert.equal(res.headers.get("content-encoding"), null, path);
+    }
+  });
+
+  test("passes an encoded upstream body through when the client accepts it", async () => {
+    const res = await t.request("/gzipped", { headers: { "accept-encoding": "gzip" } });
+    assert.equal(res.headers.get("content-encoding"), "gzip");
+    assert.equal(upstream.last("/gzipped").headers["accept-encoding"], "gzip");
+    assert.equal(gunzipSync(await bytes(res)).toString(), LARGE);
+  });
+
+  test("decodes for clients that don't", async () => {
+    const res = await t.request("/gzipped", { headers: { "accept-encoding": "identity" } });
+    assert.equal(res.headers.get("content-encoding"), null);
+    assert.equal(await res.text(), LARGE);
+  });
+});
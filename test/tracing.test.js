@@ -0,0 +1,210 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createUpstream, delay, fail, json, redirect, sequence } from "./helpers/upstream.js";
+import { OPEN, createTestProxy } from "./helpers/proxy.js";
+import { createTracer, parseTraceparent } from "../lib/proxy/tracing.js";
+import { createTraceFile } from "../lib/proxy/node/trace-file.js";
+
+// Keeps ended spans in memory
+function createMemoryExporter() {
+  const spans = [];
+  return { spans, export: (span) => spans.push(span), flush: async () => {} };
+}
+
+const CLIENT_TRACE = "0af7651916cd43dd8448eb211c80319c";
+const CLIENT_PARENT = `00-${CLIENT_TRACE}-b7ad6b7169203331-01`;
+
+describe("tracing", () => {
+  let upstream;
+  let t;
+  let exporter;
+
+  // The spans of the last request, once its body has been sent
+  async function traced(p, init) {
+    exporter.spans.length = 0;
+    const res = await t.request(p, init);
+    await res.arrayBuffer();
+    await delay(10);
+    const server = exporter.spans.find((s) => s.kind === "server");
+    const children = (parent) => exporter.spans.filter((s) => s.parentSpanId === parent.spanId);
+    return { res, server, children };
+  }
+
+  before(async () => {
+    upstream = await createUpstream({
+      "/data": json({ ok: true }),
+      "/login": redirect(302, "/data"),
+      "/flaky": sequence(fail(), json({ attempt: 2 })),
+    });
+    exporter = createMemoryExporter();
+    t = await createTestProxy(
+      {
+        ...OPEN,
+        tracing: { enabled: true },
+        breaker: { enabled: false },
+        routes: [{ name: "api", upstream: upstream.origin, retry: { retries: 2, baseDelay: 1 } }],
+      },
+      { tracer: createTracer({ exporter }) }
+    );
+  });
+
+  after(async () => {
+    await t.close();
+    await upstream.close();
+  });
+
+  test("continues the client's trace and propagates traceparent upstream", async () => {
+    const { res, server, children } = await traced("/data?x=1", { headers: { traceparent: CLIENT_PARENT } });
+    assert.equal(res.status, 200);
+
+    assert.equal(server.name, "GET api");
+    assert.equal(server.traceId, CLIENT_TRACE);
+    assert.equal(server.parentSpanId, "b7ad6b7169203331");
+    assert.equal(server.attributes["http.response.status_code"], 200);
+    assert.equal(server.attributes["url.path"], "/data");
+
+    const [attempt] = children(server);
+    assert.equal(attempt.name, "upstream attempt");
+    const [hop] = children(attempt);
+    assert.equal(hop.kind, "client");
+    assert.equal(hop.attributes["url.full"], `${upstream.origin}/data?x=1`);
+
+    const sent = parseTraceparent(upstream.last("/data").headers.traceparent);
+    assert.deepEqual(sent, { traceId: CLIENT_TRACE, spanId: hop.spanId, sampled: true });
+  });
+
+  test("one client span per redirect hop", async () => {
+    const { server, children } = await traced("/login");
+    assert.equal(server.attributes["proxy.redirects"], 1);
+    const [attempt] = children(server);
+    assert.deepEqual(
+      children(attempt).map((s) => [new URL(s.attributes["url.full"]).pathname, s.attributes["http.response.status_code"]]),
+      [
+        ["/login", 302],
+        ["/data", 200],
+      ]
+    );
+    // A new trace, since the client sent none
+    assert.notEqual(server.traceId, CLIENT_TRACE);
+    assert.equal(server.parentSpanId, null);
+  });
+
+  test("one span per attempt, failed ones marked as errors", async () => {
+    const { res, server, children } = await traced("/flaky");
+    assert.equal(res.status, 200);
+    const attempts = children(server);
+    assert.deepEqual(
+      attempts.map((s) => [s.attributes["proxy.attempt"], s.status.code]),
+      [
+        [1, "error"],
+        [2, "unset"],
+      ]
+    );
+    assert.equal(server.attributes["proxy.retries"], 1);
+    assert.equal(server.events.find((e) => e.name === "retry").attributes["proxy.retry"], 1);
+    assert.equal(children(attempts[0])[0].events[0].name, "exception");
+  });
+
+  test("audit records carry the trace id", async () => {
+    const { server } = await traced("/data");
+    assert.equal(t.audit.records.at(-1).traceId, server.traceId);
+  });
+});
+
+test("unsampled traces still propagate, with the sampled flag off", async () => {
+  const upstream = await createUpstream({});
+  const exporter = createMemoryExporter();
+  const t = await createTestProxy(
+    { ...OPEN, tracing: { enabled: true }, routes: [{ name: "r", upstream: upstream.origin }] },
+    { tracer: createTracer({ exporter, sampleRate: 0 }) }
+  );
+  try {
+    await (await t.request("/echo")).arrayBuffer();
+    await delay(10);
+    assert.equal(exporter.spans.length, 0);
+    assert.equal(parseTraceparent(upstream.last("/echo").headers.traceparent).sampled, false);
+  } finally {
+    await t.close();
+    await upstream.close();
+  }
+});
+
+test("the Edge middleware leaves tracing to the Node runtime", async () => {
+  const edge = await createTestProxy(
+    { ...OPEN, tracing: { enabled: true }, routes: [{ name: "r", upstream: "http://127.0.0.1:9" }] },
+    { runtime: "edge" }
+  );
+  try {
+    assert.equal((await edge.request("/echo")).headers.get("x-middleware-next"), "1");
+  } finally {
+    await edge.close();
+  }
+});
+
+test("parseTraceparent rejects malformed and all-zero ids", () => {
+  assert.equal(parseTraceparent(undefined), null);
+  assert.equal(parseTraceparent("00-abc-def-01"), null);
+  assert.equal(parseTraceparent(`00-${"0".repeat(32)}-b7ad6b7169203331-01`), null);
+  assert.deepEqual(parseTraceparent(CLIENT_PARENT.toUpperCase()), {
+    traceId: CLIENT_TRACE,
+    spanId: "b7ad6b7169203331",
+    sampled: true,
+  });
+});
+
+test("spans are written to disk as OTLP/JSON lines", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "proxy-traces-"));
+  try {
+    const exporter = createTraceFile(dir, { serviceName: "test-proxy" });
+    const tracer = createTracer({ exporter });
+    const parent = tracer.start("GET r", { kind: "server", attributes: { "http.response.status_code": 200 } });
+    tracer.start("GET", { parent, kind: "client" }).end();
+    parent.end();
+    await exporter.flush();
+
+    const [line] = (await readFile(exporter.file, "utf8")).trim().split("\n");
+    const { resourceSpans } = JSON.parse(line);
+    assert.deepEqual(resourceSpans[0].resource.attributes, [
+      { key: "service.name", value: { stringValue: "test-proxy" } },
+    ]);
+    const spans = resourceSpans[0].scopeSpans[0].spans;
+    assert.deepEqual(
+      spans.map((s) => [s.name, s.kind]),
+      [
+        ["GET", 3],
+        ["GET r", 2],
+      ]
+    );
+    assert.equal(spans[0].parentSpanId, spans[1].spanId);
+    assert.deepEqual(spans[1].attributes, [{ key: "http.response.status_code", value: { intValue: 200 } }]);
+    assert.ok(BigInt(spans[1].endTimeUnixNano) >= BigInt(spans[1].startTimeUnixNano));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a failed append doesn't stop the ones after it", async (t) => {
+  const root = await mkdtemp(path.join(tmpdir(), "proxy-traces-"));
+  const errors = t.mock.method(console, "error", () => {});
+  try {
+    const dir = path.join(root, "traces");
+    await writeFile(dir, "in the way"); // mkdir fails with EEXIST
+    const exporter = createTraceFile(dir, { serviceName: "test-proxy" });
+    const tracer = createTracer({ exporter });
+    tracer.start("first").end();
+    await exporter.flush();
+    assert.equal(errors.mock.callCount(), 1);
+
+    await rm(dir);
+    tracer.start("second").end();
+    await exporter.flush();
+    assert.equal(errors.mock.callCount(), 1);
+    const { resourceSpans } = JSON.parse(await readFile(exporter.file, "utf8"));
+    assert.equal(resourceSpans[0].scopeSpans[0].spans[0].name, "second");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
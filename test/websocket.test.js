@@ -0,0 +1,171 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import http from "node:http";
+import { createTestProxy, sessionCookie } from "./helpers/proxy.js";
+import { createUpgradeHandler } from "../lib/proxy/node/websocket.js";
+import { guardedLookup } from "../lib/proxy/node/egress.js";
+import { createEgressPolicy } from "../lib/proxy/egress.js";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const KEY = "dGhlIHNhbXBsZSBub25jZQ==";
+
+// Answers WebSocket handshakes with a session cookie and echoes every byte
+// back; plain requests get a 426
+async function createWebSocketUpstream() {
+  const upgrades = [];
+  const server = http.createServer((req, res) => res.writeHead(426).end());
+  server.on("upgrade", (req, socket, head) => {
+    upgrades.push({ url: req.url, headers: req.headers });
+    const accept = createHash("sha1").update(req.headers["sec-websocket-key"] + GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\nConnection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n` +
+        "Set-Cookie: ws-session=w1; Path=/\r\n\r\n"
+    );
+    if (head.length) socket.write(head);
+    socket.pipe(socket);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    upgrades,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+describe("WebSocket tunnel", () => {
+  let upstream;
+  let t;
+  let server;
+  let port;
+  let alice;
+
+  before(async () => {
+    upstream = await createWebSocketUpstream();
+    t = await createTestProxy({
+      auth: { required: true },
+      routes: [
+        {
+          name: "ws",
+          prefix: "/ws",
+          upstream: upstream.origin,
+          stripPrefix: true,
+          headers: { request: { set: { "x-proxied-user": "${user.name}" } } },
+        },
+      ],
+    });
+    await t.users.addUser("alice", { password: "alice-password" });
+    alice = await sessionCookie("alice");
+    const upgrade = createUpgradeHandler({
+      proxy: t.proxy,
+      jars: t.jars,
+      lookup: guardedLookup(createEgressPolicy({ allow: ["127.0.0.1"] })),
+    });
+    server = http.createServer((req, res) => res.writeHead(404).end());
+    server.on("upgrade", upgrade);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await upstream.close();
+    await t.close();
+  });
+
+  // Resolves { res, socket } for a 101, { res } for anything else
+  function connect(path, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        path,
+        headers: {
+          host: "proxy.test",
+          connection: "Upgrade",
+          upgrade: "websocket",
+          "sec-websocket-key": KEY,
+          "sec-websocket-version": "13",
+          ...headers,
+        },
+      });
+      req.on("upgrade", (res, socket) => resolve({ res, socket }));
+      req.on("response", (res) => {
+        res.resume();
+        res.on("end", () => resolve({ res }));
+      });
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  function roundTrip(socket, bytes) {
+    return new Promise((resolve) => {
+      let received = Buffer.alloc(0);
+      socket.on("data", (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        if (received.length >= bytes.length) resolve(received);
+      });
+      socket.write(bytes);
+    });
+  }
+
+  test("tunnels bytes both ways after the upstream's 101", async () => {
+    const { res, socket } = await connect("/ws/chat?room=1", { cookie: alice });
+    assert.equal(res.statusCode, 101);
+    const expected = createHash("sha1").update(KEY + GUID).digest("base64");
+    assert.equal(res.headers["sec-websocket-accept"], expected);
+
+    const frame = Buffer.from([0x81, 0x05, ...Buffer.from("hello")]);
+    assert.deepEqual(await roundTrip(socket, frame), frame);
+    socket.destroy();
+
+    const sent = upstream.upgrades.at(-1);
+    assert.equal(sent.url, "/chat?room=1");
+    assert.equal(sent.headers.host, new URL(upstream.origin).host);
+    assert.equal(sent.headers["x-proxied-user"], "alice");
+    assert.doesNotMatch(sent.headers.cookie || "", /proxy_session/);
+  });
+
+  test("handshake cookies go into the user's jar, not to the browser", async () => {
+    const first = await connect("/ws/chat", { cookie: alice });
+    assert.equal(first.res.headers["set-cookie"], undefined);
+    first.socket.destroy();
+
+    const second = await connect("/ws/chat", { cookie: alice });
+    second.socket.destroy();
+    assert.match(upstream.upgrades.at(-1).headers.cookie, /ws-session=w1/);
+  });
+
+  test("the gate still applies: anonymous handshakes are refused", async () => {
+    const before = upstream.upgrades.length;
+    const { res } = await connect("/ws/chat");
+    assert.equal(res.statusCode, 401);
+    assert.equal(upstream.upgrades.length, before);
+  });
+
+  test("only WebSocket upgrades are tunnelled", async () => {
+    const { res } = await connect("/ws/chat", { cookie: alice, upgrade: "h2c" });
+    assert.equal(res.statusCode, 400);
+  });
+
+  test("one audit record per tunnel, written when it closes", async () => {
+    const { socket } = await connect("/ws/audited", { cookie: alice });
+    const frame = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+    await roundTrip(socket, frame);
+    const count = () => t.audit.records.filter((r) => r.path === "/ws/audited").length;
+    assert.equal(count(), 0);
+
+    socket.destroy();
+    for (let i = 0; i < 100 && count() === 0; i++) await new Promise((r) => setTimeout(r, 10));
+    assert.equal(count(), 1);
+    const record = t.audit.records.findLast((r) => r.path === "/ws/audited");
+    assert.equal(record.status, 101);
+    assert.equal(record.user, "alice");
+  });
+});